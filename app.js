@@ -1,3 +1,4 @@
+const os = require('os');
 const path = require('path');
 const logger = require('morgan');
 const express = require('express');
@@ -13,18 +14,41 @@ const auth = require('./routes/auth');   // login/signup routes
 const messages = require('./routes/messages'); // messages routes
 const friends = require('./routes/friends'); // friends routes
 const posts = require('./routes/posts'); // posts routes
+const comments = require('./routes/comments'); // post comment threads
 const profile = require('./routes/profile'); // profile routes
+const conversations = require('./routes/conversations'); // group conversation routes
+const lists = require('./routes/lists'); // friend list routes
+const hashtags = require('./routes/hashtags'); // hashtag pages and trending tags
+const notifications = require('./routes/notifications'); // notification center routes
+const pushRoutes = require('./routes/push'); // Web Push subscription routes
+const realtime = require('./realtime'); // cross-instance Socket.IO adapter
+const SessionStore = require('./realtime/SessionStore');
+const push = require('./realtime/push'); // Web Push to offline devices
+const postMedia = require('./media/posts'); // post attachment storage
+const { renderEntities } = require('./text/entities'); // hashtag and mention links
 
 // Socket.IO
 const http = require('http').Server(app);
 const io = require('socket.io')(http);
+app.set('io', io); // lets routes push realtime updates
+
+// Fan broadcasts out to other instances (REALTIME_TRANSPORT=mongo when scaled out)
+const realtimeTransport = realtime.attachAdapter(io, realtime.createTransport());
 
 const port = process.env.PORT || 3003;
 
+// Identifies this instance in per-connection presence records
+const serverId = process.env.SERVER_ID || `${os.hostname()}:${port}`;
+
 // --- View Engine & Middleware ---
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
-app.use(express.static(path.join(__dirname, 'public')));
+// Views link hashtags and mentions in posts and comments
+app.locals.renderEntities = renderEntities;
+// nosniff keeps browsers from reading an upload as anything but its stored type
+app.use(express.static(path.join(__dirname, 'public'), {
+  setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+}));
 app.use(logger('dev'));
 
 // Body parser - must come before route mounting
@@ -34,21 +58,27 @@ app.use(express.json());
 // Method override
 app.use(methodOverride('_method'));
 
-// Session setup
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'defaultsecret',
-    resave: false,
-    saveUninitialized: false,
-  })
-);
+// Session setup (shared with the Socket.IO handshake below)
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || 'defaultsecret',
+  store: new SessionStore(), // shared by every instance
+  resave: false,
+  saveUninitialized: false,
+});
+app.use(sessionMiddleware);
 
 // --- Routes ---
 app.use('/', auth); // login/signup routes mounted at /
 app.use('/', messages); // messages routes mounted at /
 app.use('/', friends); // friends routes mounted at /
 app.use('/', posts); // posts routes mounted at /
+app.use('/', comments); // comment routes mounted at /
 app.use('/', profile); // profile routes mounted at /
+app.use('/', conversations); // group conversation routes mounted at /
+app.use('/', lists); // friend list routes mounted at /
+app.use('/', hashtags); // hashtag routes mounted at /
+app.use('/', notifications); // notification routes mounted at /
+app.use('/', pushRoutes); // push subscription routes mounted at /
 app.use('/', basic);    // dashboard or public routes mounted at /
 
 
@@ -56,44 +86,179 @@ app.use('/', basic);    // dashboard or public routes mounted at /
 const User = require('./models/User');
 const Message = require('./models/Message');
 const Friendship = require('./models/Friendship');
+const Conversation = require('./models/Conversation');
+const Call = require('./models/Call');
+const Post = require('./models/Post');
+
+// How often files left behind by expired posts are cleaned up
+const MEDIA_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Tell senders (on every device) which of their messages changed status
+async function notifyMessageStatus(messages, status) {
+  const bySender = Message.groupBySender(messages);
+  const at = new Date();
+  for (const senderId of Object.keys(bySender)) {
+    await realtime.sendToUsers(io, [senderId], 'message-status', {
+      messageIds: bySender[senderId],
+      status: status,
+      at: at
+    });
+  }
+}
+
+// Leave a notification for a direct message if the recipient has no open
+// connection; realtime.notify skips chats the recipient muted
+async function notifyIfOffline(message) {
+  const recipientId = message.recipient._id || message.recipient;
+  const senderId = message.sender._id || message.sender;
+  const isConnected = await User.isConnected(recipientId);
+  if (isConnected) return;
+  
+  await realtime.notify(io, {
+    recipient: recipientId,
+    actor: senderId,
+    type: 'message',
+    message: message._id,
+    // Attachments have no text worth previewing
+    preview: ['text', 'call'].includes(message.messageType) ? message.content.slice(0, 140) : undefined
+  });
+}
+
+// Close a call record; missed calls also leave an entry in the chat thread
+async function finishCall(call, status) {
+  call.finish(status);
+  await call.save();
+  
+  if (!call.missed) return;
+  
+  const message = new Message({
+    sender: call.caller,
+    recipient: call.recipient,
+    content: 'Missed voice call',
+    messageType: 'call',
+    call: call._id
+  });
+  
+  await message.save();
+  await message.populate('sender', 'username');
+  await message.populate('recipient', 'username');
+  
+  await realtime.sendToUsers(io, [call.caller, call.recipient], 'new-message', message);
+  await notifyIfOffline(message);
+}
+
+// Authenticate sockets from the Express session; reject anonymous handshakes
+io.use((socket, next) => {
+  sessionMiddleware(socket.request, socket.request.res || {}, () => {
+    const sess = socket.request.session;
+    if (sess && sess.userId) {
+      next();
+    } else {
+      next(new Error('Unauthorized'));
+    }
+  });
+});
 
 io.on('connection', (socket) => {
   console.log('new connection: ' + socket.id);
-  let currentUser = null;
 
-  // User connects and joins their personal room
-  socket.on('user-connected', async (data) => {
-    try {
-      const { userId, username } = data;
-      currentUser = { userId, username };
-      
-      // Update user's online status and socket ID
-      await User.findByIdAndUpdate(userId, {
+  // Identity always comes from the session, never from event payloads
+  const currentUser = {
+    userId: socket.request.session.userId.toString(),
+    username: socket.request.session.username
+  };
+
+  // Join personal room right away; every device of a user shares this room
+  socket.join(currentUser.userId);
+
+  // Track this connection; the user stays online until their last socket leaves
+  const registered = User.addConnection(currentUser.userId, socket.id, serverId)
+    .then(() => {
+      socket.broadcast.emit('user-status-update', {
+        userId: currentUser.userId,
         isOnline: true,
-        lastSeen: new Date(),
-        socketId: socket.id
+        lastSeen: new Date()
       });
-      
-      // Join user to their personal room
-      socket.join(userId);
-      
-      // Broadcast user status update to all clients
+      console.log(`User ${currentUser.username} (${currentUser.userId}) connected on ${socket.id}`);
+    })
+    .catch(error => console.error('Error handling user connection:', error));
+
+  // Remove this connection once, whether via 'user-disconnected' or 'disconnect'
+  let hasLeft = false;
+  const leave = async () => {
+    if (hasLeft) return;
+    hasLeft = true;
+    await registered;
+    
+    const wentOffline = await User.removeConnection(currentUser.userId, socket.id);
+    if (wentOffline) {
       socket.broadcast.emit('user-status-update', {
-        userId: userId,
-        isOnline: true,
+        userId: currentUser.userId,
+        isOnline: false,
         lastSeen: new Date()
       });
-      
-      console.log(`User ${username} (${userId}) connected`);
+    }
+    
+    // Close calls this device was taking part in, and calls still ringing
+    // for the user if no other device is left to answer them
+    const ongoingCalls = await Call.find({
+      $or: [
+        { callerSocket: socket.id },
+        { recipientSocket: socket.id },
+        ...(wentOffline ? [{ recipient: currentUser.userId, status: 'ringing' }] : [])
+      ],
+      status: { $in: ['ringing', 'active'] }
+    });
+    for (const call of ongoingCalls) {
+      await finishCall(call, call.status === 'active' ? 'completed' : 'missed');
+      const otherUserId = call.caller.toString() === currentUser.userId
+        ? call.recipient.toString()
+        : call.caller.toString();
+      io.to(otherUserId).emit('call-end');
+    }
+  };
+
+  // Join a room for every group conversation the user belongs to
+  Conversation.find({ 'members.user': currentUser.userId }).select('_id')
+    .then(conversations => {
+      conversations.forEach(conversation => {
+        socket.join(Conversation.roomName(conversation._id));
+      });
+    })
+    .catch(error => console.error('Error joining conversation rooms:', error));
+
+  // Reconnecting clients send the last event sequence they saw and get
+  // everything they missed replayed in order
+  socket.on('resume', async (data) => {
+    try {
+      const lastSeq = parseInt(data && data.lastSeq, 10);
+      if (!Number.isInteger(lastSeq) || lastSeq < 0) {
+        socket.emit('resume-complete', { seq: null, truncated: true });
+        return;
+      }
+
+      await realtime.replayMissedEvents(socket, currentUser.userId, lastSeq);
     } catch (error) {
-      console.error('Error handling user connection:', error);
+      console.error('Error replaying missed events:', error);
     }
   });
 
+  // The dashboard asks for live feed updates; they go to this socket only
+  socket.on('watch-feed', () => {
+    socket.join(realtime.feedRoom(currentUser.userId));
+  });
+
   // User joins a specific chat room
   socket.on('join-chat', async (data) => {
     try {
-      const { senderId, recipientId } = data;
+      const senderId = currentUser.userId;
+      const { recipientId } = data;
+      if (!recipientId) return;
+      
+      // Only friends can share a chat room
+      const areFriends = await Friendship.areFriends(senderId, recipientId);
+      if (!areFriends) return;
+      
       const chatRoom = [senderId, recipientId].sort().join('-');
       socket.join(chatRoom);
       
@@ -106,10 +271,11 @@ io.on('connection', (socket) => {
   // Handle sending messages
   socket.on('send-message', async (data) => {
     try {
-      const { senderId, recipientId, content } = data;
+      const senderId = currentUser.userId;
+      const { recipientId, content, replyTo, clientId } = data;
       
       // Validate input
-      if (!senderId || !recipientId || !content) {
+      if (!recipientId || !content) {
         socket.emit('message-error', { error: 'Missing required fields' });
         return;
       }
@@ -121,30 +287,40 @@ io.on('connection', (socket) => {
         return;
       }
       
+      // Replies must quote a message from the same chat
+      let replyTarget = null;
+      if (replyTo) {
+        replyTarget = await Message.findReplyTarget(replyTo, { senderId, recipientId });
+        if (!replyTarget) {
+          socket.emit('message-error', { error: 'Reply target not found' });
+          return;
+        }
+      }
+      
       // Save message to database
       const message = new Message({
         sender: senderId,
         recipient: recipientId,
         content: content.trim(),
-        messageType: 'text'
+        messageType: 'text',
+        replyTo: replyTarget ? replyTarget._id : undefined
       });
       
       await message.save();
       await message.populate('sender', 'username');
       await message.populate('recipient', 'username');
+      await message.populate(Message.REPLY_POPULATE);
       
-      // Create chat room ID
-      const chatRoom = [senderId, recipientId].sort().join('-');
-      
-      // Emit message to chat room (both sender and recipient)
-      io.to(chatRoom).emit('new-message', message);
+      // Reach the recipient's devices and the sender's other devices;
+      // this socket already rendered the message
+      await realtime.sendToUsers(io, [recipientId, senderId], 'new-message', message, { socket });
+      await notifyIfOffline(message);
       
-      // Also emit to recipient's personal room if they're not in the chat
-      socket.to(recipientId).emit('new-message', message);
-      
-      // Send delivery confirmation to sender
-      socket.emit('message-delivered', {
+      // Confirm the save so the sender can swap its pending copy for the real one
+      socket.emit('message-sent', {
         messageId: message._id,
+        clientId: clientId,
+        status: message.status,
         timestamp: message.createdAt
       });
       
@@ -155,59 +331,155 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle friend request events
-  socket.on('friend-request-sent', async (data) => {
+  // Handle sending group messages
+  socket.on('send-group-message', async (data) => {
     try {
-      const { recipientId, requesterName } = data;
+      const senderId = currentUser.userId;
+      const { conversationId, content, replyTo } = data;
+      
+      if (!conversationId || !content || !mongoose.Types.ObjectId.isValid(conversationId)) {
+        socket.emit('message-error', { error: 'Missing required fields' });
+        return;
+      }
       
-      // Notify recipient of new friend request
-      socket.to(recipientId).emit('friend-request-received', {
-        requesterName: requesterName,
-        message: `${requesterName} sent you a friend request`
+      // Only members can post to a conversation
+      const conversation = await Conversation.findById(conversationId);
+      if (!conversation || !conversation.isMember(senderId)) {
+        socket.emit('message-error', { error: 'You are not a member of this conversation' });
+        return;
+      }
+      
+      let replyTarget = null;
+      if (replyTo) {
+        replyTarget = await Message.findReplyTarget(replyTo, { conversationId });
+        if (!replyTarget) {
+          socket.emit('message-error', { error: 'Reply target not found' });
+          return;
+        }
+      }
+      
+      const message = new Message({
+        sender: senderId,
+        conversation: conversationId,
+        content: content.trim(),
+        messageType: 'text',
+        replyTo: replyTarget ? replyTarget._id : undefined
+      });
+      
+      await message.save();
+      await message.populate('sender', 'username');
+      await message.populate(Message.REPLY_POPULATE);
+      
+      // Bump the conversation so it sorts to the top of everyone's list
+      await conversation.save();
+      
+      await realtime.sendToUsers(io, conversation.getMemberIds(), 'new-group-message', message);
+      
+      // Members mentioned by name hear about it even when they aren't watching the group
+      const mentioned = message.$locals.newMentions.filter(id => conversation.isMember(id));
+      await realtime.notifyMentions(io, mentioned, {
+        actor: senderId,
+        message: message._id,
+        // Members who muted the group aren't told
+        conversation: conversation._id,
+        preview: message.content.slice(0, 140)
+      });
+      await realtime.notifyGroupMessage(io, conversation, message, mentioned);
+      
+      socket.emit('message-sent', {
+        messageId: message._id,
+        status: message.status,
+        timestamp: message.createdAt
       });
       
-      console.log(`Friend request notification sent to ${recipientId}`);
+      console.log(`Group message sent from ${senderId} to conversation ${conversationId}`);
     } catch (error) {
-      console.error('Error handling friend request notification:', error);
+      console.error('Error sending group message:', error);
+      socket.emit('message-error', { error: 'Failed to send message' });
     }
   });
-  
-  socket.on('friend-request-accepted', async (data) => {
+
+  // Group typing indicators
+  socket.on('group-typing-start', (data) => {
+    const { conversationId } = data;
+    if (!conversationId || !socket.rooms[Conversation.roomName(conversationId)]) return;
+    socket.to(Conversation.roomName(conversationId)).emit('group-user-typing', {
+      conversationId: conversationId,
+      userId: currentUser.userId,
+      username: currentUser.username,
+      isTyping: true
+    });
+  });
+
+  socket.on('group-typing-stop', (data) => {
+    const { conversationId } = data;
+    if (!conversationId || !socket.rooms[Conversation.roomName(conversationId)]) return;
+    socket.to(Conversation.roomName(conversationId)).emit('group-user-typing', {
+      conversationId: conversationId,
+      userId: currentUser.userId,
+      username: currentUser.username,
+      isTyping: false
+    });
+  });
+
+  // Handle attachments uploaded through /api/messages/upload and /upload-audio
+  socket.on('file-message', async (data) => {
     try {
-      const { requesterId, accepterName } = data;
+      const senderId = currentUser.userId;
+      const messageId = data && data.message && data.message._id;
+      
+      if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+        socket.emit('message-error', { error: 'Missing required fields' });
+        return;
+      }
       
-      // Notify requester that their request was accepted
-      socket.to(requesterId).emit('friend-request-response', {
-        accepted: true,
-        accepterName: accepterName,
-        message: `${accepterName} accepted your friend request`
+      // The referenced message must exist and belong to the sender
+      const message = await Message.findOne({ _id: messageId, sender: senderId });
+      if (!message) {
+        socket.emit('message-error', { error: 'Message not found' });
+        return;
+      }
+      
+      await message.populate('sender', 'username');
+      await message.populate('recipient', 'username');
+      
+      const recipientId = message.recipient._id.toString();
+      
+      // Sender already rendered the upload on this socket
+      await realtime.sendToUsers(io, [recipientId, senderId], 'new-message', message, { socket });
+      await notifyIfOffline(message);
+      
+      socket.emit('message-sent', {
+        messageId: message._id,
+        status: message.status,
+        timestamp: message.createdAt
       });
       
-      console.log(`Friend request acceptance notification sent to ${requesterId}`);
+      console.log(`File message sent from ${senderId} to ${recipientId}`);
     } catch (error) {
-      console.error('Error handling friend request acceptance notification:', error);
+      console.error('Error sending file message:', error);
+      socket.emit('message-error', { error: 'Failed to send file message' });
     }
   });
 
   // Handle message read status
+  // Recipient devices acknowledge the messages they received
+  socket.on('messages-delivered', async (data) => {
+    try {
+      const messageIds = Array.isArray(data && data.messageIds) ? data.messageIds.slice(0, 200) : [];
+      const changed = await Message.advanceStatus(messageIds, currentUser.userId, 'delivered');
+      await notifyMessageStatus(changed, 'delivered');
+    } catch (error) {
+      console.error('Error marking messages as delivered:', error);
+    }
+  });
+
+  // Recipient devices report the messages that were shown on screen
   socket.on('mark-messages-read', async (data) => {
     try {
-      const { senderId, recipientId } = data;
-      
-      // Mark all messages from sender to recipient as read
-      await Message.updateMany(
-        { sender: senderId, recipient: recipientId, isRead: false },
-        { isRead: true, readAt: new Date() }
-      );
-      
-      // Notify sender that messages were read
-      const senderUser = await User.findById(senderId).select('socketId');
-      if (senderUser && senderUser.socketId) {
-        io.to(senderUser.socketId).emit('messages-read', {
-          recipientId: recipientId,
-          readAt: new Date()
-        });
-      }
+      const messageIds = Array.isArray(data && data.messageIds) ? data.messageIds.slice(0, 200) : [];
+      const changed = await Message.advanceStatus(messageIds, currentUser.userId, 'read');
+      await notifyMessageStatus(changed, 'read');
     } catch (error) {
       console.error('Error marking messages as read:', error);
     }
@@ -215,7 +487,8 @@ io.on('connection', (socket) => {
 
   // Handle user typing indicators
   socket.on('typing-start', (data) => {
-    const { senderId, recipientId } = data;
+    const senderId = currentUser.userId;
+    const { recipientId } = data;
     const chatRoom = [senderId, recipientId].sort().join('-');
     socket.to(chatRoom).emit('user-typing', {
       userId: senderId,
@@ -224,7 +497,8 @@ io.on('connection', (socket) => {
   });
 
   socket.on('typing-stop', (data) => {
-    const { senderId, recipientId } = data;
+    const senderId = currentUser.userId;
+    const { recipientId } = data;
     const chatRoom = [senderId, recipientId].sort().join('-');
     socket.to(chatRoom).emit('user-typing', {
       userId: senderId,
@@ -232,13 +506,11 @@ io.on('connection', (socket) => {
     });
   });
 
-  // Handle user activity status
-  socket.on('user-active', async (userId) => {
+  // Handle user activity status (page visibility of this connection)
+  socket.on('user-active', async () => {
     try {
-      await User.findByIdAndUpdate(userId, {
-        isOnline: true,
-        lastSeen: new Date()
-      });
+      const { userId } = currentUser;
+      await User.setConnectionActive(userId, socket.id, true);
       
       socket.broadcast.emit('user-status-update', {
         userId: userId,
@@ -250,11 +522,13 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('user-inactive', async (userId) => {
+  socket.on('user-inactive', async () => {
     try {
-      await User.findByIdAndUpdate(userId, {
-        lastSeen: new Date()
-      });
+      const { userId } = currentUser;
+      const anyActive = await User.setConnectionActive(userId, socket.id, false);
+      
+      // Another tab or device is still in use
+      if (anyActive) return;
       
       socket.broadcast.emit('user-status-update', {
         userId: userId,
@@ -266,45 +540,79 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle user disconnection
-  socket.on('user-disconnected', async (userId) => {
+  // Handle this tab closing
+  socket.on('user-disconnected', async () => {
     try {
-      if (userId) {
-        await User.findByIdAndUpdate(userId, {
-          isOnline: false,
-          lastSeen: new Date(),
-          socketId: null
-        });
-        
-        socket.broadcast.emit('user-status-update', {
-          userId: userId,
-          isOnline: false,
-          lastSeen: new Date()
-        });
-        
-        console.log(`User ${userId} manually disconnected`);
-      }
+      await leave();
+      console.log(`User ${currentUser.userId} manually disconnected ${socket.id}`);
     } catch (error) {
       console.error('Error handling user disconnection:', error);
     }
   });
 
   // Voice Call Events
+  // Invites ring every device of the recipient. Once a device picks up,
+  // signalling is pinned to the two sockets in the call.
+  
+  // Resolve where to send a signal: the given socket if it belongs to the
+  // user, otherwise every device of the user
+  const signalTarget = async (userId, socketId) => {
+    const isUserSocket = await User.hasConnection(userId, socketId);
+    return isUserSocket ? socketId : userId.toString();
+  };
+  
+  // Signals only pass between the two sides of a ringing or active call.
+  // Calls start from call-invite, which requires a friendship, so strangers
+  // and blocked users have no call to signal on; their events are dropped.
+  const ongoingCallWith = async (userId) => {
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) return null;
+    return Call.findOngoing(currentUser.userId, userId);
+  };
+  
   socket.on('call-invite', async (data) => {
     try {
-      const { to, from, offer, callerName } = data;
+      const { to, offer } = data;
+      const from = currentUser.userId;
+      const callerName = currentUser.username;
+      
+      // Calls follow the same rule as messages; this also keeps blocked users out
+      const areFriends = await Friendship.areFriends(from, to);
+      if (!areFriends) {
+        socket.emit('call-user-unavailable', { to: to });
+        return;
+      }
+      
+      // Close any call left hanging between the pair, and record this one
+      // before it rings so the recipient's replies find it
+      const staleCall = await Call.findOngoing(from, to);
+      if (staleCall) {
+        await finishCall(staleCall, staleCall.status === 'active' ? 'completed' : 'missed');
+      }
+      
+      const call = new Call({ caller: from, recipient: to, callerSocket: socket.id });
+      await call.save();
       
-      // Find recipient's socket
-      const recipient = await User.findById(to).select('socketId');
-      if (recipient && recipient.socketId) {
-        io.to(recipient.socketId).emit('call-invite', {
+      const isConnected = await User.isConnected(to);
+      if (isConnected) {
+        io.to(to.toString()).emit('call-invite', {
           from: from,
+          fromSocket: socket.id,
           offer: offer,
           callerName: callerName
         });
         console.log(`Call invitation sent from ${from} to ${to}`);
       } else {
         socket.emit('call-user-unavailable', { to: to });
+        
+        // Ring their closed tabs; the push is useless once the ring would have timed out
+        push.pushToUser(to, 'calls', {
+          title: 'Incoming voice call',
+          body: `${callerName} is calling you`,
+          url: '/messages',
+          tag: `call-${from}`
+        }, { ttl: 30, urgency: 'high', chat: { user: from } }).catch(err => console.error('Error pushing call invite:', err));
+        
+        await finishCall(call, 'missed');
       }
     } catch (error) {
       console.error('Error handling call invite:', error);
@@ -313,14 +621,25 @@ io.on('connection', (socket) => {
   
   socket.on('call-answer', async (data) => {
     try {
-      const { to, answer } = data;
+      const { to, toSocket, answer } = data;
       
-      const caller = await User.findById(to).select('socketId');
-      if (caller && caller.socketId) {
-        io.to(caller.socketId).emit('call-answer', {
-          answer: answer
-        });
-        console.log(`Call answered by ${currentUser?.userId} for ${to}`);
+      const call = await ongoingCallWith(to);
+      if (!call) return;
+      
+      const target = await signalTarget(to, toSocket);
+      io.to(target).emit('call-answer', {
+        answer: answer,
+        fromSocket: socket.id
+      });
+      
+      // Stop the other devices of this user from ringing
+      socket.to(currentUser.userId).emit('call-handled-elsewhere', { from: to, outcome: 'answered' });
+      console.log(`Call answered by ${currentUser.userId} for ${to}`);
+      
+      if (call.status === 'ringing') {
+        call.answer();
+        call.recipientSocket = socket.id;
+        await call.save();
       }
     } catch (error) {
       console.error('Error handling call answer:', error);
@@ -329,12 +648,19 @@ io.on('connection', (socket) => {
   
   socket.on('call-decline', async (data) => {
     try {
-      const { to } = data;
+      const { to, toSocket, reason } = data;
+      
+      const call = await ongoingCallWith(to);
+      if (!call) return;
       
-      const caller = await User.findById(to).select('socketId');
-      if (caller && caller.socketId) {
-        io.to(caller.socketId).emit('call-decline');
-        console.log(`Call declined by ${currentUser?.userId} for ${to}`);
+      const target = await signalTarget(to, toSocket);
+      io.to(target).emit('call-decline');
+      socket.to(currentUser.userId).emit('call-handled-elsewhere', { from: to, outcome: 'declined' });
+      console.log(`Call declined by ${currentUser.userId} for ${to}`);
+      
+      // An invite that rang out unanswered is missed, not declined
+      if (call.status === 'ringing') {
+        await finishCall(call, reason === 'timeout' ? 'missed' : 'declined');
       }
     } catch (error) {
       console.error('Error handling call decline:', error);
@@ -343,13 +669,22 @@ io.on('connection', (socket) => {
   
   socket.on('call-end', async (data) => {
     try {
-      const { to } = data;
+      const { to, toSocket } = data;
+      
+      const call = await ongoingCallWith(to);
+      if (!call) return;
       
-      const otherUser = await User.findById(to).select('socketId');
-      if (otherUser && otherUser.socketId) {
-        io.to(otherUser.socketId).emit('call-end');
-        console.log(`Call ended between ${currentUser?.userId} and ${to}`);
+      const target = await signalTarget(to, toSocket);
+      io.to(target).emit('call-end');
+      console.log(`Call ended between ${currentUser.userId} and ${to}`);
+      
+      let status = 'completed';
+      if (call.status === 'ringing') {
+        // Caller hanging up before an answer is a missed call;
+        // the recipient hanging up on a ringing call is a decline
+        status = call.caller.toString() === currentUser.userId ? 'missed' : 'declined';
       }
+      await finishCall(call, status);
     } catch (error) {
       console.error('Error handling call end:', error);
     }
@@ -357,14 +692,16 @@ io.on('connection', (socket) => {
   
   socket.on('call-ice-candidate', async (data) => {
     try {
-      const { to, candidate } = data;
+      const { to, toSocket, candidate } = data;
       
-      const otherUser = await User.findById(to).select('socketId');
-      if (otherUser && otherUser.socketId) {
-        io.to(otherUser.socketId).emit('call-ice-candidate', {
-          candidate: candidate
-        });
-      }
+      const call = await ongoingCallWith(to);
+      if (!call) return;
+      
+      const target = await signalTarget(to, toSocket);
+      io.to(target).emit('call-ice-candidate', {
+        candidate: candidate,
+        fromSocket: socket.id
+      });
     } catch (error) {
       console.error('Error handling ICE candidate:', error);
     }
@@ -372,12 +709,18 @@ io.on('connection', (socket) => {
   
   socket.on('call-busy', async (data) => {
     try {
-      const { to } = data;
+      const { to, toSocket } = data;
       
-      const caller = await User.findById(to).select('socketId');
-      if (caller && caller.socketId) {
-        io.to(caller.socketId).emit('call-busy');
-        console.log(`User ${currentUser?.userId} is busy, notifying ${to}`);
+      const call = await ongoingCallWith(to);
+      if (!call) return;
+      
+      const target = await signalTarget(to, toSocket);
+      io.to(target).emit('call-busy');
+      socket.to(currentUser.userId).emit('call-handled-elsewhere', { from: to, outcome: 'busy' });
+      console.log(`User ${currentUser.userId} is busy, notifying ${to}`);
+      
+      if (call.status === 'ringing') {
+        await finishCall(call, 'busy');
       }
     } catch (error) {
       console.error('Error handling call busy:', error);
@@ -387,21 +730,8 @@ io.on('connection', (socket) => {
   // Handle socket disconnection
   socket.on('disconnect', async () => {
     try {
-      if (currentUser && currentUser.userId) {
-        await User.findByIdAndUpdate(currentUser.userId, {
-          isOnline: false,
-          lastSeen: new Date(),
-          socketId: null
-        });
-        
-        socket.broadcast.emit('user-status-update', {
-          userId: currentUser.userId,
-          isOnline: false,
-          lastSeen: new Date()
-        });
-        
-        console.log(`User ${currentUser.username} (${currentUser.userId}) disconnected`);
-      }
+      await leave();
+      console.log(`User ${currentUser.username} (${currentUser.userId}) disconnected`);
     } catch (error) {
       console.error('Error handling socket disconnection:', error);
     }
@@ -413,7 +743,16 @@ io.on('connection', (socket) => {
 // --- Connect to MongoDB and start server ---
 mongoose
   .connect(process.env.MONGO_URL)
-  .then(() => {
+  .then(async () => {
+    // Sockets from a previous run of this instance are gone
+    await User.clearServerConnections(serverId);
+    await realtimeTransport.start();
+    
+    // Clear out uploads that no post refers to
+    setInterval(() => {
+      postMedia.sweepOrphans(Post).catch(err => console.error('Error sweeping post media:', err));
+    }, MEDIA_SWEEP_INTERVAL_MS).unref();
+    
     http.listen(port, () => {
       console.log('MongoDB connected');
       console.log(`Server running at http://localhost:${port}/`);
@@ -0,0 +1,76 @@
+// feed/ranking.js
+// Scoring for the "top" feed. Everything here is a pure function of the
+// posts and the context passed in, so the same inputs always give the same
+// order.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A post's recency counts half as much every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = 12;
+
+// Posts get a boost over the last EXPIRY_WINDOW_HOURS before they expire
+const EXPIRY_WINDOW_HOURS = 6;
+
+const WEIGHTS = {
+  likes: 1,
+  comments: 2,
+  affinity: 1.5,
+  expiry: 0.5,
+};
+
+// 1 for a brand new post, halving every RECENCY_HALF_LIFE_HOURS
+function recencyScore(createdAt, now) {
+  const ageHours = Math.max(0, now - new Date(createdAt)) / HOUR_MS;
+  return Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS);
+}
+
+// Rises from 0 to 1 over the expiry window; 0 for posts that never expire
+function expiryScore(expiresAt, now) {
+  if (!expiresAt) return 0;
+
+  const remainingHours = (new Date(expiresAt) - now) / HOUR_MS;
+  if (remainingHours <= 0 || remainingHours >= EXPIRY_WINDOW_HOURS) return 0;
+  return 1 - remainingHours / EXPIRY_WINDOW_HOURS;
+}
+
+// Score one post. `context.affinity` maps author IDs to how often the viewer
+// has liked or commented on that author's posts.
+function scorePost(post, context) {
+  const now = context.now;
+  const authorId = (post.author._id || post.author).toString();
+
+  const likes = post.likes ? post.likes.length : 0;
+  const comments = post.commentCount || 0;
+  const interactions = context.affinity.get(authorId) || 0;
+
+  // Likes, comments and affinity raise a post; logarithms keep one viral
+  // post from burying everything else. Recency scales the whole lot so old
+  // posts sink even when they did well.
+  const engagement = WEIGHTS.likes * Math.log1p(likes)
+    + WEIGHTS.comments * Math.log1p(comments)
+    + WEIGHTS.affinity * Math.log1p(interactions);
+
+  return recencyScore(post.createdAt, now) * (1 + engagement)
+    + WEIGHTS.expiry * expiryScore(post.expiresAt, now);
+}
+
+// Order posts best first. Ties go to the newer post, then to the higher ID,
+// so the order never depends on how the posts came in.
+function rankPosts(posts, context) {
+  return posts
+    .map(post => ({ post, score: scorePost(post, context) }))
+    .sort((a, b) => b.score - a.score
+      || new Date(b.post.createdAt) - new Date(a.post.createdAt)
+      || b.post._id.toString().localeCompare(a.post._id.toString()))
+    .map(entry => entry.post);
+}
+
+module.exports = {
+  RECENCY_HALF_LIFE_HOURS,
+  EXPIRY_WINDOW_HOURS,
+  WEIGHTS,
+  recencyScore,
+  expiryScore,
+  scorePost,
+  rankPosts
+};
@@ -0,0 +1,419 @@
+// media/posts.js
+// Storage for post attachments: validates uploads, writes thumbnails and
+// removes files once their post is gone.
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const UPLOAD_DIR = path.join(__dirname, '../public/uploads/posts');
+const URL_PREFIX = '/uploads/posts/';
+
+const MAX_IMAGES = 4;
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_VIDEO_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_VIDEO_SECONDS = 60;
+
+// Longest side of stored images and of thumbnails
+const MAX_IMAGE_DIMENSION = 2048;
+const THUMBNAIL_DIMENSION = 480;
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const IMAGE_TYPES = /^image\/(jpeg|png|webp|gif)$/;
+const VIDEO_TYPES = /^video\/(mp4|webm|quicktime)$/;
+
+// Files newer than this may belong to a post that is still being created
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+function ensureUploadDir() {
+  if (!fs.existsSync(UPLOAD_DIR)) {
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  }
+}
+
+// Map a public /uploads/posts/... path back to the file on disk
+function toDiskPath(publicPath) {
+  return path.join(UPLOAD_DIR, path.basename(publicPath));
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+// Write a small WebP preview next to the original
+async function writeThumbnail(sourcePath, baseName) {
+  const thumbName = 'thumb-' + baseName + '.webp';
+  await sharp(sourcePath)
+    .rotate()
+    .resize({ width: THUMBNAIL_DIMENSION, height: THUMBNAIL_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 75 })
+    .toFile(path.join(UPLOAD_DIR, thumbName));
+  return URL_PREFIX + thumbName;
+}
+
+// Uploads arrive under a name without an extension; once their contents
+// are known they are renamed after the detected format, never after the
+// client's file name, so a disguised file can't be served as HTML
+async function renameUpload(file, extension) {
+  const fileName = file.filename + extension;
+  const filePath = path.join(path.dirname(file.path), fileName);
+  await fs.promises.rename(file.path, filePath);
+  // Keep the multer record pointing at the file so a rejected request can
+  // still discard it
+  file.path = filePath;
+  file.filename = fileName;
+}
+
+// Check an uploaded image, strip its metadata and make a thumbnail.
+// Returns the media entry, or null when the file isn't a supported image.
+async function processImage(file) {
+  let metadata;
+  try {
+    metadata = await sharp(file.path).metadata();
+  } catch (err) {
+    return null;
+  }
+  if (!IMAGE_FORMATS.includes(metadata.format) || file.size > MAX_IMAGE_SIZE) return null;
+
+  let { width, height } = metadata;
+  let size = file.size;
+
+  // Re-encode stills so camera metadata such as GPS position isn't published;
+  // animated GIFs are kept as they are
+  if (metadata.format !== 'gif') {
+    const { data, info } = await sharp(file.path)
+      .rotate()
+      .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .toFormat(metadata.format)
+      .toBuffer({ resolveWithObject: true });
+    await fs.promises.writeFile(file.path, data);
+    ({ width, height } = info);
+    size = data.length;
+  }
+
+  await renameUpload(file, metadata.format === 'jpeg' ? '.jpg' : '.' + metadata.format);
+
+  return {
+    kind: 'image',
+    path: URL_PREFIX + file.filename,
+    thumbnailPath: await writeThumbnail(file.path, path.parse(file.filename).name),
+    mimeType: 'image/' + metadata.format,
+    size: size,
+    width: width,
+    height: height
+  };
+}
+
+// ISO base media brands accepted as MP4; 'qt  ' marks a QuickTime movie
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'];
+const QUICKTIME_BRAND = 'qt  ';
+
+// EBML element IDs needed to find a WebM file's duration
+const EBML_HEADER = 0x1A45DFA3;
+const EBML_DOCTYPE = 0x4282;
+const MKV_SEGMENT = 0x18538067;
+const MKV_INFO = 0x1549A966;
+const MKV_TIMECODE_SCALE = 0x2AD7B1;
+const MKV_DURATION = 0x4489;
+const MKV_CLUSTER = 0x1F43B675;
+
+// WebM keeps its Info element ahead of the first cluster, well within this
+const WEBM_HEADER_BYTES = 1024 * 1024;
+
+async function readBytes(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Parse the ISO box header at offset: a 32-bit size (1 means a 64-bit size
+// follows, 0 means "to the end") and a four-character type. The buffer only
+// needs to hold the header; end bounds the box itself.
+function isoBoxHeader(buffer, offset, end) {
+  if (offset + 8 > Math.min(buffer.length, end)) return null;
+  let size = buffer.readUInt32BE(offset);
+  let headerSize = 8;
+  if (size === 1) {
+    if (offset + 16 > Math.min(buffer.length, end)) return null;
+    size = Number(buffer.readBigUInt64BE(offset + 8));
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+  if (size < headerSize || offset + size > end) return null;
+  return { type: buffer.toString('latin1', offset + 4, offset + 8), headerSize, size };
+}
+
+// Walk the ISO boxes in buffer[start, end), returning { type, start, end }
+// for each box's body
+function* isoBoxes(buffer, start, end) {
+  let offset = start;
+  let box;
+  while ((box = isoBoxHeader(buffer, offset, end))) {
+    yield { type: box.type, start: offset + box.headerSize, end: offset + box.size };
+    offset += box.size;
+  }
+}
+
+// Read an MP4 or QuickTime file's container and length from its ftyp and
+// moov/mvhd boxes. Returns { mimeType, extension, seconds } or null.
+async function probeIsoVideo(handle, fileSize) {
+  const head = await readBytes(handle, 0, 256);
+  const [ftyp] = isoBoxes(head, 0, head.length);
+  if (!ftyp || ftyp.type !== 'ftyp' || ftyp.end - ftyp.start < 8) return null;
+
+  // The major brand, then the compatible brands after the minor version
+  const brands = [head.toString('latin1', ftyp.start, ftyp.start + 4)];
+  for (let offset = ftyp.start + 8; offset + 4 <= ftyp.end; offset += 4) {
+    brands.push(head.toString('latin1', offset, offset + 4));
+  }
+
+  let container;
+  if (brands[0] === QUICKTIME_BRAND) {
+    container = { mimeType: 'video/quicktime', extension: '.mov' };
+  } else if (brands.some(brand => MP4_BRANDS.includes(brand))) {
+    container = { mimeType: 'video/mp4', extension: '.mp4' };
+  } else {
+    return null;
+  }
+
+  // moov may come before or after the media data, so step through the
+  // top-level boxes reading only their headers until it turns up
+  let offset = 0;
+  while (offset < fileSize) {
+    const header = await readBytes(handle, offset, 16);
+    const box = isoBoxHeader(header, 0, fileSize - offset);
+    if (!box) return null;
+
+    if (box.type === 'moov') {
+      const moov = await readBytes(handle, offset, box.size);
+      const mvhd = [...isoBoxes(moov, box.headerSize, moov.length)].find(child => child.type === 'mvhd');
+      if (!mvhd || mvhd.end - mvhd.start < 32) return null;
+
+      // Version 1 uses 64-bit times, version 0 32-bit ones
+      const version = moov[mvhd.start];
+      const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? Number(moov.readBigUInt64BE(mvhd.start + 24))
+        : moov.readUInt32BE(mvhd.start + 16);
+      if (!timescale) return null;
+      return { ...container, seconds: duration / timescale };
+    }
+    offset += box.size;
+  }
+  return null;
+}
+
+// Read an EBML variable-length integer at offset. IDs keep their length
+// marker bits, sizes drop them; an all-ones size means "unknown".
+function readVint(buffer, offset, keepMarker) {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xFF >> length);
+  let allOnes = value === (0xFF >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xFF) allOnes = false;
+  }
+  return { value: !keepMarker && allOnes ? Infinity : value, length };
+}
+
+// Walk the EBML elements in buffer[start, end), returning { id, start, end }
+// for each element's body; an unknown size runs to the end of the range
+function* ebmlElements(buffer, start, end) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return;
+    const bodyStart = offset + id.length + size.length;
+    // Elements cut off by the end of the range are clipped to it
+    const bodyEnd = Math.min(bodyStart + size.value, end);
+    yield { id: id.value, start: bodyStart, end: bodyEnd };
+    offset = bodyEnd;
+  }
+}
+
+function readEbmlUint(buffer, element) {
+  let value = 0;
+  for (let i = element.start; i < element.end; i++) value = value * 256 + buffer[i];
+  return value;
+}
+
+// Read a WebM file's length from its Segment Info element.
+// Returns { mimeType, extension, seconds } or null.
+async function probeWebmVideo(handle) {
+  const buffer = await readBytes(handle, 0, WEBM_HEADER_BYTES);
+  const elements = ebmlElements(buffer, 0, buffer.length);
+
+  const header = elements.next().value;
+  if (!header || header.id !== EBML_HEADER) return null;
+  const docType = [...ebmlElements(buffer, header.start, header.end)].find(child => child.id === EBML_DOCTYPE);
+  if (!docType || buffer.toString('latin1', docType.start, docType.end).replace(/\0+$/, '') !== 'webm') return null;
+
+  const segment = elements.next().value;
+  if (!segment || segment.id !== MKV_SEGMENT) return null;
+
+  for (const child of ebmlElements(buffer, segment.start, segment.end)) {
+    if (child.id === MKV_CLUSTER) return null;
+    if (child.id !== MKV_INFO) continue;
+
+    // Durations count ticks of TimecodeScale nanoseconds, 1ms by default
+    let scale = 1000000;
+    let duration = null;
+    for (const field of ebmlElements(buffer, child.start, child.end)) {
+      if (field.id === MKV_TIMECODE_SCALE) {
+        scale = readEbmlUint(buffer, field);
+      } else if (field.id === MKV_DURATION) {
+        const length = field.end - field.start;
+        if (length === 4) duration = buffer.readFloatBE(field.start);
+        else if (length === 8) duration = buffer.readDoubleBE(field.start);
+      }
+    }
+    if (duration === null || !Number.isFinite(duration) || !scale) return null;
+    return { mimeType: 'video/webm', extension: '.webm', seconds: duration * scale / 1e9 };
+  }
+  return null;
+}
+
+// Identify a video from its bytes rather than the type the client sent.
+// Returns { mimeType, extension, seconds } or null when it isn't an MP4,
+// QuickTime or WebM file whose length can be read.
+async function probeVideo(file) {
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const magic = await readBytes(handle, 0, 8);
+    if (magic.length < 8) return null;
+    if (magic.readUInt32BE(0) === EBML_HEADER) return await probeWebmVideo(handle);
+    if (magic.toString('latin1', 4, 8) === 'ftyp') return await probeIsoVideo(handle, file.size);
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check an uploaded video; the poster is a frame the browser captured.
+// Returns the media entry, or null when the file isn't a supported video
+// or runs longer than MAX_VIDEO_SECONDS.
+async function processVideo(file, poster) {
+  if (file.size > MAX_VIDEO_SIZE) return null;
+
+  const video = await probeVideo(file);
+  if (!video || !(video.seconds > 0) || video.seconds > MAX_VIDEO_SECONDS) return null;
+
+  await renameUpload(file, video.extension);
+
+  let thumbnailPath;
+  if (poster) {
+    try {
+      thumbnailPath = await writeThumbnail(poster.path, path.parse(file.filename).name);
+    } catch (err) {
+      // An unreadable poster just means the player shows its own first frame
+      thumbnailPath = undefined;
+    }
+  }
+
+  return {
+    kind: 'video',
+    path: URL_PREFIX + file.filename,
+    thumbnailPath: thumbnailPath,
+    mimeType: video.mimeType,
+    size: file.size
+  };
+}
+
+// Delete the files behind a post's media entries
+async function deleteMedia(media) {
+  for (const item of media || []) {
+    await removeFile(toDiskPath(item.path));
+    if (item.thumbnailPath) await removeFile(toDiskPath(item.thumbnailPath));
+  }
+}
+
+// Copy a post's media files for a new post, e.g. when reposting from the
+// archive, so deleting either post leaves the other's files in place
+async function copyMedia(media, ownerId) {
+  const copies = [];
+  for (const item of media || []) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const fileName = 'post-' + ownerId + '-' + uniqueSuffix + path.extname(item.path);
+    await fs.promises.copyFile(toDiskPath(item.path), path.join(UPLOAD_DIR, fileName));
+
+    const copy = {
+      kind: item.kind,
+      path: URL_PREFIX + fileName,
+      mimeType: item.mimeType,
+      size: item.size,
+      width: item.width,
+      height: item.height
+    };
+    if (item.thumbnailPath) {
+      const thumbName = 'thumb-' + path.parse(fileName).name + '.webp';
+      await fs.promises.copyFile(toDiskPath(item.thumbnailPath), path.join(UPLOAD_DIR, thumbName));
+      copy.thumbnailPath = URL_PREFIX + thumbName;
+    }
+    copies.push(copy);
+  }
+  return copies;
+}
+
+// Delete raw multer uploads, e.g. after a rejected request
+async function discardUploads(files) {
+  for (const file of files) {
+    await removeFile(file.path);
+  }
+}
+
+// Uploads can outlive their request if the server stops mid-way, or a
+// post can be deleted straight from the database, so files no post refers
+// to are swept periodically
+async function sweepOrphans(Post) {
+  if (!fs.existsSync(UPLOAD_DIR)) return 0;
+
+  const posts = await Post.find({ 'media.0': { $exists: true } }).select('media.path media.thumbnailPath').lean();
+  const referenced = new Set();
+  posts.forEach(post => post.media.forEach(item => {
+    referenced.add(path.basename(item.path));
+    if (item.thumbnailPath) referenced.add(path.basename(item.thumbnailPath));
+  }));
+
+  const cutoff = Date.now() - ORPHAN_GRACE_MS;
+  let removed = 0;
+  for (const name of await fs.promises.readdir(UPLOAD_DIR)) {
+    if (referenced.has(name)) continue;
+
+    const filePath = path.join(UPLOAD_DIR, name);
+    const stats = await fs.promises.stat(filePath);
+    if (stats.isFile() && stats.mtimeMs < cutoff) {
+      await removeFile(filePath);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  MAX_IMAGES,
+  MAX_IMAGE_SIZE,
+  MAX_VIDEO_SIZE,
+  MAX_VIDEO_SECONDS,
+  IMAGE_TYPES,
+  VIDEO_TYPES,
+  ensureUploadDir,
+  processImage,
+  processVideo,
+  deleteMedia,
+  copyMedia,
+  discardUploads,
+  sweepOrphans
+};
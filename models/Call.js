@@ -0,0 +1,109 @@
+// models/Call.js
+
+const mongoose = require('mongoose');
+
+const CallSchema = new mongoose.Schema({
+  caller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  callType: {
+    type: String,
+    enum: ['voice'],
+    default: 'voice',
+  },
+  status: {
+    type: String,
+    enum: ['ringing', 'active', 'completed', 'declined', 'missed', 'busy'],
+    default: 'ringing',
+  },
+  callerSocket: {
+    type: String,
+    // Device that placed the call
+  },
+  recipientSocket: {
+    type: String,
+    // Device that picked up
+  },
+  missed: {
+    type: Boolean,
+    default: false,
+  },
+  duration: {
+    type: Number,
+    default: 0,
+    // Talk time in seconds (answer to hang-up)
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  answeredAt: {
+    type: Date,
+  },
+  endedAt: {
+    type: Date,
+  },
+});
+
+// Create indexes for better query performance
+CallSchema.index({ caller: 1, startedAt: -1 });
+CallSchema.index({ recipient: 1, startedAt: -1 });
+CallSchema.index({ caller: 1, recipient: 1, status: 1 });
+
+// Instance method to mark the call as answered
+CallSchema.methods.answer = function() {
+  this.status = 'active';
+  this.answeredAt = new Date();
+};
+
+// Instance method to close the call with a final status
+CallSchema.methods.finish = function(status) {
+  this.status = status;
+  this.endedAt = new Date();
+  this.duration = this.answeredAt
+    ? Math.max(0, Math.round((this.endedAt - this.answeredAt) / 1000))
+    : 0;
+  // Unanswered calls the recipient never got to respond to count as missed
+  this.missed = status === 'missed' || status === 'busy';
+};
+
+// Static method to find the ringing or active call between two users
+CallSchema.statics.findOngoing = async function(userId1, userId2) {
+  const call = await this.findOne({
+    $or: [
+      { caller: userId1, recipient: userId2 },
+      { caller: userId2, recipient: userId1 }
+    ],
+    status: { $in: ['ringing', 'active'] }
+  }).sort({ startedAt: -1 });
+
+  return call;
+};
+
+// Static method to get paginated call history for a user
+CallSchema.statics.getCallHistory = async function(userId, page = 1, limit = 20) {
+  const calls = await this.find({
+    $or: [
+      { caller: userId },
+      { recipient: userId }
+    ],
+    status: { $nin: ['ringing', 'active'] }
+  })
+  .populate('caller', 'username profilePicture')
+  .populate('recipient', 'username profilePicture')
+  .sort({ startedAt: -1 })
+  .skip((page - 1) * limit)
+  .limit(limit)
+  .lean();
+
+  return calls;
+};
+
+module.exports = mongoose.model('Call', CallSchema);
@@ -0,0 +1,228 @@
+// models/Comment.js
+
+const mongoose = require('mongoose');
+const { applyEntities } = require('../text/entities');
+
+const DELETED_PLACEHOLDER = 'This comment was deleted';
+const MAX_COMMENT_LENGTH = 500;
+
+const CommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    // Comment this one replies to; unset for top-level comments
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: MAX_COMMENT_LENGTH,
+  },
+  hashtags: [{
+    // Lowercased, without the '#'
+    type: String,
+  }],
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // As written after the '@', to link it when rendering
+    username: String,
+  }],
+  likes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  replyCount: {
+    type: Number,
+    default: 0,
+    // Direct replies still stored, including deleted ones kept for their own replies
+  },
+  editedAt: {
+    type: Date,
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    // Deleted but kept because it still has replies
+  },
+  deletedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for better query performance
+CommentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+CommentSchema.index({ user: 1, createdAt: -1 });
+CommentSchema.index({ 'mentions.user': 1 });
+
+// Parse hashtags and mentions out of new and edited comments
+CommentSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    await applyEntities(this);
+  }
+});
+
+const USER_POPULATE = { path: 'user', select: 'username profilePicture' };
+
+// Instance method to check if user liked the comment
+CommentSchema.methods.isLikedBy = function(userId) {
+  return this.likes.some(like => like.user.toString() === userId.toString());
+};
+
+// Instance method to toggle like
+CommentSchema.methods.toggleLike = function(userId) {
+  if (this.isLikedBy(userId)) {
+    this.likes = this.likes.filter(like => like.user.toString() !== userId.toString());
+    return false; // unliked
+  }
+
+  this.likes.push({ user: userId });
+  return true; // liked
+};
+
+// Instance method to replace the content
+CommentSchema.methods.applyEdit = function(content) {
+  this.content = content;
+  this.editedAt = new Date();
+};
+
+// Instance method to blank out a comment that still has replies
+CommentSchema.methods.markDeleted = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = DELETED_PLACEHOLDER;
+  this.likes = [];
+  this.editedAt = undefined;
+};
+
+// Instance method to delete the comment. One with replies is blanked out
+// instead, and a blanked-out parent goes once its last reply does. Returns
+// the IDs of the comments removed outright.
+CommentSchema.methods.deleteFromThread = async function() {
+  if (this.replyCount > 0) {
+    this.markDeleted();
+    await this.save();
+    return [];
+  }
+
+  await this.deleteOne();
+  const removedIds = [this._id];
+
+  let parentId = this.parent;
+  while (parentId) {
+    const parent = await this.constructor.findByIdAndUpdate(parentId, { $inc: { replyCount: -1 } }, { new: true });
+    if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+
+    await parent.deleteOne();
+    removedIds.push(parent._id);
+    parentId = parent.parent;
+  }
+  return removedIds;
+};
+
+// Instance method to shape a comment for a viewer: counts instead of like
+// lists, and what the viewer may do with it
+CommentSchema.methods.toViewerJSON = function(viewerId, postAuthorId) {
+  const comment = this.toObject();
+  const userId = (this.user._id || this.user).toString();
+  const isOwn = userId === viewerId.toString();
+
+  delete comment.likes;
+  return {
+    ...comment,
+    likeCount: this.likes.length,
+    isLikedByUser: this.isLikedBy(viewerId),
+    canEdit: isOwn && !this.isDeleted,
+    canDelete: !this.isDeleted && (isOwn || postAuthorId.toString() === viewerId.toString())
+  };
+};
+
+// Static method to get a page of comments on a post, newest first: top-level
+// ones, or the replies to `parentId`. Pass the oldest comment of the previous
+// page as `before` to go further back; paging goes by (createdAt, _id) so
+// comments made in the same millisecond aren't skipped or repeated.
+// Comments by `hiddenUserIds` are left out.
+CommentSchema.statics.getPage = async function(postId, { parentId = null, before = null, limit = 10, hiddenUserIds = [] } = {}) {
+  const query = {
+    post: postId,
+    parent: parentId,
+    user: { $nin: hiddenUserIds },
+    // A deleted comment stays only while it still has replies to hold together
+    $or: [{ isDeleted: false }, { replyCount: { $gt: 0 } }]
+  };
+  if (before) {
+    query.$and = [{
+      $or: [
+        { createdAt: { $lt: before.createdAt } },
+        { createdAt: before.createdAt, _id: { $lt: before._id } }
+      ]
+    }];
+  }
+
+  const comments = await this.find(query)
+    .populate(USER_POPULATE)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = comments.length > limit;
+  if (hasMore) comments.pop();
+
+  return { comments, hasMore };
+};
+
+// Static method to count comments per post, e.g. to take blocked users'
+// comments off the totals. Returns a Map from post ID to count.
+CommentSchema.statics.countByPost = async function(postIds, userIds) {
+  const results = await this.aggregate([
+    { $match: {
+      post: { $in: postIds.map(id => new mongoose.Types.ObjectId(id)) },
+      user: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) },
+      isDeleted: false
+    } },
+    { $group: { _id: '$post', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.count]));
+};
+
+// Static method to count the viewer's comments per author of the commented
+// posts, for feed ranking. Returns a Map from author ID to count.
+CommentSchema.statics.countByPostAuthor = async function(userId, authorIds) {
+  const results = await this.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), isDeleted: false } },
+    { $lookup: { from: 'posts', localField: 'post', foreignField: '_id', as: 'post' } },
+    { $unwind: '$post' },
+    { $match: { 'post.author': { $in: authorIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+    { $group: { _id: '$post.author', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(results.map(result => [result._id.toString(), result.count]));
+};
+
+CommentSchema.statics.USER_POPULATE = USER_POPULATE;
+CommentSchema.statics.MAX_COMMENT_LENGTH = MAX_COMMENT_LENGTH;
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,113 @@
+// models/Conversation.js
+
+const mongoose = require('mongoose');
+
+const ConversationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'member'],
+      default: 'member',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for better query performance
+ConversationSchema.index({ 'members.user': 1, updatedAt: -1 });
+
+// Middleware to update updatedAt field
+ConversationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Virtual for member count
+ConversationSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// Helper to compare a member entry (populated or not) with a user ID
+function memberId(member) {
+  return (member.user && member.user._id ? member.user._id : member.user).toString();
+}
+
+// Instance method to find a user's membership entry
+ConversationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => memberId(member) === userId.toString());
+};
+
+// Instance method to check if user is a member
+ConversationSchema.methods.isMember = function(userId) {
+  return !!this.getMember(userId);
+};
+
+// Instance method to check if user is an admin
+ConversationSchema.methods.isAdmin = function(userId) {
+  const member = this.getMember(userId);
+  return !!member && member.role === 'admin';
+};
+
+// Instance method to remove a member, promoting the longest-standing member
+// to admin if the last admin leaves
+ConversationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => memberId(member) !== userId.toString());
+
+  const hasAdmin = this.members.some(member => member.role === 'admin');
+  if (!hasAdmin && this.members.length > 0) {
+    const oldest = this.members.reduce((a, b) => (a.joinedAt <= b.joinedAt ? a : b));
+    oldest.role = 'admin';
+  }
+};
+
+// Instance method to get member IDs as strings
+ConversationSchema.methods.getMemberIds = function() {
+  return this.members.map(memberId);
+};
+
+// Static method to get conversations a user belongs to
+ConversationSchema.statics.getUserConversations = async function(userId) {
+  const conversations = await this.find({ 'members.user': userId })
+    .populate('members.user', 'username profilePicture isOnline lastSeen')
+    .sort({ updatedAt: -1 });
+
+  return conversations;
+};
+
+// Static method to get the Socket.IO room name for a conversation
+ConversationSchema.statics.roomName = function(conversationId) {
+  return 'conversation-' + conversationId.toString();
+};
+
+// Ensure virtual fields are included in JSON output
+ConversationSchema.set('toJSON', { virtuals: true });
+ConversationSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Conversation', ConversationSchema);
@@ -0,0 +1,69 @@
+// models/FriendList.js
+
+const mongoose = require('mongoose');
+
+const FriendListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50,
+  },
+  members: [{
+    // Friends of the owner; posts shared with the list reach them
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A user's lists have distinct names
+FriendListSchema.index({ owner: 1, name: 1 }, { unique: true });
+FriendListSchema.index({ members: 1 });
+
+// Middleware to update updatedAt field
+FriendListSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Instance method to check if a user is on the list
+FriendListSchema.methods.hasMember = function(userId) {
+  return this.members.some(member => member.toString() === userId.toString());
+};
+
+// Static method to get a user's lists with their members
+FriendListSchema.statics.getForOwner = async function(ownerId) {
+  return this.find({ owner: ownerId })
+    .populate('members', 'username profilePicture isOnline')
+    .sort({ name: 1 });
+};
+
+// Static method to get IDs of every list a user has been added to
+FriendListSchema.statics.getListIdsContaining = async function(userId) {
+  const lists = await this.find({ members: userId }).select('_id');
+  return lists.map(list => list._id);
+};
+
+// Static method to take a user off every list an owner keeps, e.g. when
+// the owner blocks them
+FriendListSchema.statics.removeFromOwnerLists = async function(ownerId, userId) {
+  await this.updateMany(
+    { owner: ownerId, members: userId },
+    { $pull: { members: userId }, $set: { updatedAt: Date.now() } }
+  );
+};
+
+module.exports = mongoose.model('FriendList', FriendListSchema);
@@ -2,7 +2,19 @@
 
 const mongoose = require('mongoose');
 
+// How long a pending request stays open, and how long a declined requester
+// waits before asking the same person again
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUEST_EXPIRY_MS = (parseInt(process.env.FRIEND_REQUEST_EXPIRY_DAYS, 10) || 30) * DAY_MS;
+const DECLINE_COOLDOWN_MS = (parseInt(process.env.FRIEND_REQUEST_COOLDOWN_DAYS, 10) || 7) * DAY_MS;
+
 const FriendshipSchema = new mongoose.Schema({
+  // Both user IDs, sorted and joined, so a pair has one document whichever
+  // side started it
+  pairKey: {
+    type: String,
+    required: true,
+  },
   requester: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -18,6 +30,16 @@ const FriendshipSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'declined', 'blocked'],
     default: 'pending',
   },
+  blockedBy: [{
+    // Users in the pair who placed a block; status is 'blocked' while non-empty
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  expiresAt: {
+    type: Date,
+    // Pending requests expire here; declined ones end their cooldown here.
+    // Unset for friendships and blocks, which never expire.
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -28,12 +50,33 @@ const FriendshipSchema = new mongoose.Schema({
   },
 });
 
-// Create compound index to prevent duplicate friend requests
-FriendshipSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+FriendshipSchema.index({ pairKey: 1 }, { unique: true });
 
 // Create indexes for better query performance
 FriendshipSchema.index({ requester: 1, status: 1 });
 FriendshipSchema.index({ recipient: 1, status: 1 });
+FriendshipSchema.index({ blockedBy: 1 });
+
+// Expired requests and finished cooldowns are removed; queries also check
+// expiresAt since the TTL monitor only runs once a minute
+FriendshipSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build the key shared by both orderings of a pair
+function pairKeyFor(userId1, userId2) {
+  return [userId1.toString(), userId2.toString()].sort().join('-');
+}
+
+// Filter for documents that haven't expired yet
+function notExpired() {
+  return { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+}
+
+FriendshipSchema.pre('validate', function(next) {
+  if (this.requester && this.recipient) {
+    this.pairKey = pairKeyFor(this.requester, this.recipient);
+  }
+  next();
+});
 
 // Middleware to update updatedAt field
 FriendshipSchema.pre('save', function(next) {
@@ -41,14 +84,62 @@ FriendshipSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to check if two users are friends
-FriendshipSchema.statics.areFriends = async function(userId1, userId2) {
-  const friendship = await this.findOne({
-    $or: [
-      { requester: userId1, recipient: userId2, status: 'accepted' },
-      { requester: userId2, recipient: userId1, status: 'accepted' }
+// Instance method to check if a pending request or decline cooldown has run out
+FriendshipSchema.methods.isExpired = function() {
+  return !!this.expiresAt && this.expiresAt <= Date.now();
+};
+
+// Instance method to (re)open the pair as a request from requesterId
+FriendshipSchema.methods.openRequest = function(requesterId, recipientId) {
+  this.requester = requesterId;
+  this.recipient = recipientId;
+  this.status = 'pending';
+  this.blockedBy = [];
+  this.createdAt = Date.now();
+  this.expiresAt = new Date(Date.now() + REQUEST_EXPIRY_MS);
+};
+
+// Instance method to accept a pending request
+FriendshipSchema.methods.accept = function() {
+  this.status = 'accepted';
+  this.expiresAt = undefined;
+};
+
+// Instance method to decline a pending request; the requester can't ask
+// again until the cooldown ends and the document expires
+FriendshipSchema.methods.decline = function() {
+  this.status = 'declined';
+  this.expiresAt = new Date(Date.now() + DECLINE_COOLDOWN_MS);
+};
+
+// Static method to build the pair key for two users
+FriendshipSchema.statics.pairKey = pairKeyFor;
+
+// Static method to get the live document for a pair, if any
+FriendshipSchema.statics.findPair = async function(userId1, userId2) {
+  return this.findOne({ pairKey: pairKeyFor(userId1, userId2), ...notExpired() });
+};
+
+// Static method to get IDs of every user the user has a live relationship
+// with: friends, open requests either way, declines in cooldown and blocks
+FriendshipSchema.statics.getRelatedUserIds = async function(userId) {
+  const relationships = await this.find({
+    $and: [
+      { $or: [{ requester: userId }, { recipient: userId }] },
+      notExpired()
     ]
+  }).select('requester recipient');
+
+  return relationships.map(rel => {
+    return rel.requester.toString() === userId.toString()
+      ? rel.recipient.toString()
+      : rel.requester.toString();
   });
+};
+
+// Static method to check if two users are friends
+FriendshipSchema.statics.areFriends = async function(userId1, userId2) {
+  const friendship = await this.findOne({ pairKey: pairKeyFor(userId1, userId2), status: 'accepted' });
   return !!friendship;
 };
 
@@ -73,7 +164,8 @@ FriendshipSchema.statics.getFriends = async function(userId) {
 FriendshipSchema.statics.getPendingRequests = async function(userId) {
   const requests = await this.find({
     recipient: userId,
-    status: 'pending'
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
   }).populate('requester', 'username email isOnline lastSeen')
     .sort({ createdAt: -1 });
   
@@ -84,11 +176,220 @@ FriendshipSchema.statics.getPendingRequests = async function(userId) {
 FriendshipSchema.statics.getSentRequests = async function(userId) {
   const requests = await this.find({
     requester: userId,
-    status: 'pending'
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
   }).populate('recipient', 'username email isOnline lastSeen')
     .sort({ createdAt: -1 });
   
   return requests;
 };
 
+// Suggestion scoring: every mutual friend counts twice as much as a shared location
+const MUTUAL_WEIGHT = 2;
+const LOCATION_WEIGHT = 1;
+
+// Escape user input for use inside a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Static method to get the friends two users have in common
+FriendshipSchema.statics.getMutualFriends = async function(userId1, userId2) {
+  const User = require('./User');
+  const ids = [new mongoose.Types.ObjectId(userId1), new mongoose.Types.ObjectId(userId2)];
+
+  return this.aggregate([
+    { $match: {
+      status: 'accepted',
+      $or: [{ requester: { $in: ids } }, { recipient: { $in: ids } }]
+    } },
+    // One row per (owner, friend), keeping only friendships of the two users
+    { $project: { pairs: [
+      { owner: '$requester', friend: '$recipient' },
+      { owner: '$recipient', friend: '$requester' }
+    ] } },
+    { $unwind: '$pairs' },
+    { $match: { 'pairs.owner': { $in: ids }, 'pairs.friend': { $nin: ids } } },
+    { $group: { _id: '$pairs.friend', owners: { $addToSet: '$pairs.owner' } } },
+    { $match: { owners: { $size: 2 } } },
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $replaceRoot: { newRoot: '$user' } },
+    { $project: { username: 1, email: 1, isOnline: 1, lastSeen: 1, profilePicture: 1 } },
+    { $sort: { username: 1 } }
+  ]);
+};
+
+// Static method to suggest people a user may know: friends of friends ranked by
+// mutual friend count, plus people in the same location. Friends, open
+// requests, declines still in cooldown and blocks are left out.
+FriendshipSchema.statics.getSuggestions = async function(userId, limit = 10) {
+  const User = require('./User');
+  const me = new mongoose.Types.ObjectId(userId);
+
+  const [user, relatedIds] = await Promise.all([
+    User.findById(userId).select('location'),
+    this.getRelatedUserIds(userId)
+  ]);
+  const excludedIds = [me, ...relatedIds.map(id => new mongoose.Types.ObjectId(id))];
+  const location = user && user.location ? user.location.trim() : '';
+
+  const pipeline = [
+    { $match: { status: 'accepted', $or: [{ requester: me }, { recipient: me }] } },
+    { $project: { friend: { $cond: [{ $eq: ['$requester', me] }, '$recipient', '$requester'] } } },
+    // Friendships of each friend, from either side
+    { $lookup: {
+      from: this.collection.name,
+      let: { friend: '$friend' },
+      pipeline: [
+        { $match: { $expr: { $and: [
+          { $eq: ['$status', 'accepted'] },
+          { $or: [{ $eq: ['$requester', '$$friend'] }, { $eq: ['$recipient', '$$friend'] }] }
+        ] } } },
+        { $project: { _id: 0, candidate: { $cond: [{ $eq: ['$requester', '$$friend'] }, '$recipient', '$requester'] } } }
+      ],
+      as: 'links'
+    } },
+    { $unwind: '$links' },
+    { $match: { 'links.candidate': { $nin: excludedIds } } },
+    { $group: { _id: '$links.candidate', mutualCount: { $sum: 1 }, mutualIds: { $push: '$friend' } } }
+  ];
+
+  if (location) {
+    // Bring in people from the same place who share no friends yet
+    pipeline.push(
+      { $unionWith: {
+        coll: User.collection.name,
+        pipeline: [
+          { $match: {
+            _id: { $nin: excludedIds },
+            location: { $regex: `^\\s*${escapeRegex(location)}\\s*$`, $options: 'i' }
+          } },
+          { $limit: limit * 5 },
+          { $project: { _id: 1, mutualCount: { $literal: 0 }, mutualIds: { $literal: [] } } }
+        ]
+      } },
+      { $group: { _id: '$_id', mutualCount: { $max: '$mutualCount' }, mutualIds: { $push: '$mutualIds' } } },
+      { $set: { mutualIds: { $reduce: { input: '$mutualIds', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } } } }
+    );
+  }
+
+  pipeline.push(
+    { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $set: {
+      sameLocation: location
+        ? { $eq: [{ $toLower: { $trim: { input: { $ifNull: ['$user.location', ''] } } } }, location.toLowerCase()] }
+        : { $literal: false }
+    } },
+    { $set: {
+      score: { $add: [
+        { $multiply: ['$mutualCount', MUTUAL_WEIGHT] },
+        { $cond: ['$sameLocation', LOCATION_WEIGHT, 0] }
+      ] }
+    } },
+    { $sort: { score: -1, mutualCount: -1, _id: 1 } },
+    { $limit: limit },
+    // Name a few mutual friends for the card
+    { $lookup: {
+      from: User.collection.name,
+      let: { ids: { $slice: ['$mutualIds', 3] } },
+      pipeline: [
+        { $match: { $expr: { $in: ['$_id', '$$ids'] } } },
+        { $project: { username: 1 } }
+      ],
+      as: 'mutualFriends'
+    } },
+    { $project: {
+      _id: '$user._id',
+      username: '$user.username',
+      email: '$user.email',
+      location: '$user.location',
+      profilePicture: '$user.profilePicture',
+      isOnline: '$user.isOnline',
+      lastSeen: '$user.lastSeen',
+      mutualCount: 1,
+      mutualFriends: 1,
+      sameLocation: 1
+    } }
+  );
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to check if either user has blocked the other
+FriendshipSchema.statics.isBlocked = async function(userId1, userId2) {
+  const block = await this.findOne({ pairKey: pairKeyFor(userId1, userId2), status: 'blocked' });
+  return !!block;
+};
+
+// Static method to check if a user has blocked another specific user
+FriendshipSchema.statics.hasBlocked = async function(blockerId, blockedId) {
+  const block = await this.findOne({ pairKey: pairKeyFor(blockerId, blockedId), blockedBy: blockerId });
+  return !!block;
+};
+
+// Static method to get IDs of everyone a user blocked or was blocked by
+FriendshipSchema.statics.getBlockedIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [
+      { requester: userId, status: 'blocked' },
+      { recipient: userId, status: 'blocked' }
+    ]
+  }).select('requester recipient');
+
+  return blocks.map(block => {
+    return block.requester.toString() === userId.toString()
+      ? block.recipient
+      : block.requester;
+  });
+};
+
+// Static method to get the users a user has blocked
+FriendshipSchema.statics.getBlockedUsers = async function(userId) {
+  const blocks = await this.find({ blockedBy: userId })
+    .populate('requester', 'username email profilePicture')
+    .populate('recipient', 'username email profilePicture')
+    .sort({ updatedAt: -1 });
+
+  return blocks.map(block => {
+    return block.requester._id.toString() === userId.toString()
+      ? block.recipient
+      : block.requester;
+  });
+};
+
+// Static method to block a user. The pair's document becomes the block,
+// replacing any friendship or request between them.
+FriendshipSchema.statics.block = async function(blockerId, blockedId) {
+  return this.findOneAndUpdate(
+    { pairKey: pairKeyFor(blockerId, blockedId) },
+    {
+      $set: { status: 'blocked', updatedAt: Date.now() },
+      $unset: { expiresAt: 1 },
+      $addToSet: { blockedBy: blockerId },
+      $setOnInsert: { requester: blockerId, recipient: blockedId, createdAt: Date.now() }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+// Static method to lift a block the user placed. The pair stays blocked
+// while the other user's block remains.
+FriendshipSchema.statics.unblock = async function(blockerId, blockedId) {
+  const block = await this.findOne({ pairKey: pairKeyFor(blockerId, blockedId), blockedBy: blockerId });
+  if (!block) return false;
+
+  block.blockedBy.pull(blockerId);
+  if (block.blockedBy.length === 0) {
+    await block.deleteOne();
+  } else {
+    await block.save();
+  }
+  return true;
+};
+
+FriendshipSchema.statics.REQUEST_EXPIRY_MS = REQUEST_EXPIRY_MS;
+FriendshipSchema.statics.DECLINE_COOLDOWN_MS = DECLINE_COOLDOWN_MS;
+
 module.exports = mongoose.model('Friendship', FriendshipSchema);
\ No newline at end of file
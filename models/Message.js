@@ -1,6 +1,12 @@
 // models/Message.js
 
 const mongoose = require('mongoose');
+const { applyEntities } = require('../text/entities');
+
+// How long after sending a text message it can still be edited
+const EDIT_WINDOW_MS = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const DELETED_PLACEHOLDER = 'This message was deleted';
+const MAX_REACTION_LENGTH = 16;
 
 const MessageSchema = new mongoose.Schema({
   sender: {
@@ -11,18 +17,64 @@ const MessageSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    // Direct messages only; group messages use conversation instead
+    required: function() {
+      return !this.conversation;
+    },
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
   },
   content: {
     type: String,
     required: true,
     trim: true,
   },
+  hashtags: [{
+    // Lowercased, without the '#'; text messages only
+    type: String,
+  }],
+  mentions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // As written after the '@', to link it when rendering
+    username: String,
+  }],
   messageType: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio', 'file'],
+    enum: ['text', 'image', 'video', 'audio', 'file', 'call'],
     default: 'text',
   },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    // Message being quoted, if any
+  },
+  reactions: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: MAX_REACTION_LENGTH,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  call: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Call',
+    // Only set for missed-call entries in the chat thread
+  },
   filePath: {
     type: String,
     // Only required for non-text messages
@@ -35,6 +87,14 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     // Original filename
   },
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent',
+  },
+  deliveredAt: {
+    type: Date,
+  },
   isRead: {
     type: Boolean,
     default: false,
@@ -42,6 +102,31 @@ const MessageSchema = new mongoose.Schema({
   readAt: {
     type: Date,
   },
+  editedAt: {
+    type: Date,
+  },
+  editHistory: [{
+    content: {
+      type: String,
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    // Users who removed this message from their own view
+  }],
+  isDeleted: {
+    type: Boolean,
+    default: false,
+    // Deleted for everyone; content and attachment are gone
+  },
+  deletedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -49,7 +134,156 @@ const MessageSchema = new mongoose.Schema({
 });
 
 // Create indexes for better query performance
-MessageSchema.index({ sender: 1, recipient: 1 });
+// Each branch of the two-party $or uses this for cursor pagination
+MessageSchema.index({ sender: 1, recipient: 1, createdAt: -1, _id: -1 });
 MessageSchema.index({ createdAt: -1 });
+MessageSchema.index({ conversation: 1, createdAt: -1 });
+MessageSchema.index({ content: 'text' });
+MessageSchema.index({ 'mentions.user': 1 });
+MessageSchema.index({ hashtags: 1 });
+
+// Parse hashtags and mentions out of new and edited text messages; deleting
+// a message clears them along with its content
+MessageSchema.pre('save', async function() {
+  if (this.isModified('content') && (this.messageType === 'text' || this.isDeleted)) {
+    await applyEntities(this);
+  }
+});
+
+// Helper to get an ID string from a populated or unpopulated reference
+function idOf(ref) {
+  return (ref && ref._id ? ref._id : ref).toString();
+}
+
+// Instance method to toggle a user's emoji reaction
+MessageSchema.methods.toggleReaction = function(userId, emoji) {
+  const matches = reaction => idOf(reaction.user) === userId.toString() && reaction.emoji === emoji;
+  const existingReaction = this.reactions.find(matches);
+
+  if (existingReaction) {
+    // Remove reaction
+    this.reactions = this.reactions.filter(reaction => !matches(reaction));
+    return false; // unreacted
+  } else {
+    // Add reaction
+    this.reactions.push({ user: userId, emoji: emoji });
+    return true; // reacted
+  }
+};
+
+// Instance method to summarise reactions as { emoji: [userId, ...] }
+MessageSchema.methods.getReactionSummary = function() {
+  return this.reactions.reduce((summary, reaction) => {
+    (summary[reaction.emoji] = summary[reaction.emoji] || []).push(idOf(reaction.user));
+    return summary;
+  }, {});
+};
+
+// Instance method to check if user can still edit the message
+MessageSchema.methods.canEdit = function(userId) {
+  return idOf(this.sender) === userId.toString() &&
+    this.messageType === 'text' &&
+    !this.isDeleted &&
+    Date.now() - this.createdAt.getTime() <= EDIT_WINDOW_MS;
+};
+
+// Instance method to replace the content, keeping the previous version
+MessageSchema.methods.applyEdit = function(content) {
+  this.editHistory.push({ content: this.content, editedAt: new Date() });
+  this.content = content;
+  this.editedAt = new Date();
+};
+
+// Instance method to hide the message for a single user
+MessageSchema.methods.hideFor = function(userId) {
+  const alreadyHidden = this.deletedFor.some(id => id.toString() === userId.toString());
+  if (!alreadyHidden) {
+    this.deletedFor.push(userId);
+  }
+};
+
+// Instance method to delete the message for everyone.
+// Returns the attachment path (if any) so the caller can remove the file.
+MessageSchema.methods.deleteForEveryone = function() {
+  const filePath = this.filePath;
+
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = DELETED_PLACEHOLDER;
+  this.editHistory = [];
+  this.filePath = undefined;
+  this.fileName = undefined;
+  this.fileSize = undefined;
+
+  return filePath;
+};
+
+// Instance method to check if user takes part in the message's conversation
+MessageSchema.methods.isParticipant = function(userId) {
+  const id = userId.toString();
+  return idOf(this.sender) === id || (!!this.recipient && idOf(this.recipient) === id);
+};
+
+// Static method to move direct messages addressed to a recipient forward to
+// 'delivered' or 'read'. Returns the messages that actually changed, with
+// their senders, so the senders can be notified.
+MessageSchema.statics.advanceStatus = async function(messageIds, recipientId, status) {
+  const ids = (messageIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (ids.length === 0) return [];
+
+  const previous = status === 'read' ? ['sent', 'delivered'] : ['sent'];
+  const messages = await this.find({
+    _id: { $in: ids },
+    recipient: recipientId,
+    status: { $in: previous },
+    isRead: false
+  }).select('_id sender');
+
+  if (messages.length === 0) return [];
+
+  const now = new Date();
+  const update = status === 'read'
+    ? { status: 'read', isRead: true, readAt: now }
+    : { status: 'delivered', deliveredAt: now };
+
+  await this.updateMany({ _id: { $in: messages.map(m => m._id) } }, update);
+
+  return messages;
+};
+
+// Static method to group changed messages by sender for status notifications
+MessageSchema.statics.groupBySender = function(messages) {
+  return messages.reduce((groups, message) => {
+    const senderId = message.sender.toString();
+    (groups[senderId] = groups[senderId] || []).push(message._id);
+    return groups;
+  }, {});
+};
+
+// Static method to resolve a reply target within the same conversation
+MessageSchema.statics.findReplyTarget = async function(replyToId, { senderId, recipientId, conversationId }) {
+  if (!mongoose.Types.ObjectId.isValid(replyToId)) return null;
+
+  const scope = conversationId
+    ? { conversation: conversationId }
+    : {
+      $or: [
+        { sender: senderId, recipient: recipientId },
+        { sender: recipientId, recipient: senderId }
+      ]
+    };
+
+  return this.findOne({ $and: [{ _id: replyToId }, scope] }).select('_id');
+};
+
+// Populate options for rendering the quoted original of a reply
+MessageSchema.statics.REPLY_POPULATE = {
+  path: 'replyTo',
+  select: 'content sender messageType fileName isDeleted',
+  populate: { path: 'sender', select: 'username' }
+};
+
+MessageSchema.statics.EDIT_WINDOW_MS = EDIT_WINDOW_MS;
+MessageSchema.statics.MAX_REACTION_LENGTH = MAX_REACTION_LENGTH;
 
 module.exports = mongoose.model('Message', MessageSchema);
\ No newline at end of file
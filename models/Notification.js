@@ -0,0 +1,135 @@
+// models/Notification.js
+
+const mongoose = require('mongoose');
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['friend-request', 'friend-accepted', 'post-like', 'post-comment', 'comment-reply', 'message', 'mention'],
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    // Comment on `post` that a mention or reply was made in
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    // Group conversation a mention or message was sent in
+  },
+  friendship: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Friendship',
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    // Latest message in a run of unread message notifications
+  },
+  count: {
+    type: Number,
+    default: 1,
+    // How many events this notification stands for (e.g. messages while offline)
+  },
+  preview: {
+    type: String,
+    maxlength: 140,
+  },
+  read: {
+    type: Boolean,
+    default: false,
+  },
+  readAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for better query performance
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+const ACTOR_POPULATE = { path: 'actor', select: 'username profilePicture' };
+
+// Static method to record a notification. Events that repeat before the
+// recipient reads them (likes, offline messages) update the existing one.
+NotificationSchema.statics.record = async function(fields) {
+  const { recipient, actor, type } = fields;
+  if (recipient.toString() === actor.toString()) return null;
+
+  let notification;
+  if (type === 'post-like' || type === 'message') {
+    const match = { recipient, actor, type, read: false };
+    if (type === 'post-like') match.post = fields.post;
+    // Direct and group messages from the same person are counted apart
+    if (type === 'message') match.conversation = fields.conversation || null;
+
+    notification = await this.findOneAndUpdate(
+      match,
+      {
+        $set: { message: fields.message, preview: fields.preview, createdAt: new Date() },
+        $inc: { count: type === 'message' ? 1 : 0 }
+      },
+      { new: true }
+    );
+  }
+
+  if (!notification) {
+    notification = new this(fields);
+    await notification.save();
+  }
+
+  await notification.populate(ACTOR_POPULATE);
+  return notification;
+};
+
+// Static method to get a page of notifications for a user, newest first
+NotificationSchema.statics.getForUser = async function(userId, before = null, limit = 20) {
+  const query = { recipient: userId };
+  if (before) query.createdAt = { $lt: before };
+
+  const notifications = await this.find(query)
+    .populate(ACTOR_POPULATE)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = notifications.length > limit;
+  if (hasMore) notifications.pop();
+
+  return { notifications, hasMore };
+};
+
+// Static method to count unread notifications
+NotificationSchema.statics.getUnreadCount = async function(userId) {
+  return this.countDocuments({ recipient: userId, read: false });
+};
+
+// Static method to mark notifications as read; `filter` narrows which ones
+NotificationSchema.statics.markRead = async function(userId, filter = {}) {
+  const result = await this.updateMany(
+    { ...filter, recipient: userId, read: false },
+    { read: true, readAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
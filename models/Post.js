@@ -1,6 +1,51 @@
 // models/Post.js
 
 const mongoose = require('mongoose');
+const ranking = require('../feed/ranking');
+const { applyEntities } = require('../text/entities');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a post stays on feeds before it moves to its author's archive;
+// null means it never expires
+const LIFETIMES = {
+  '24h': 24 * HOUR_MS,
+  '50h': 50 * HOUR_MS,
+  '7d': 7 * 24 * HOUR_MS,
+  '30d': 30 * 24 * HOUR_MS,
+  'never': null,
+};
+const DEFAULT_LIFETIME = '50h';
+
+// Feed orders; the top feed ranks this many of the newest posts
+const FEED_MODES = ['latest', 'top'];
+const TOP_FEED_CANDIDATES = 200;
+
+// How each lifetime is offered to authors
+const LIFETIME_LABELS = {
+  '24h': '24 hours',
+  '50h': '50 hours',
+  '7d': '7 days',
+  '30d': '30 days',
+  'never': 'Never expire',
+};
+
+// Expiry date for a lifetime starting now
+function expiryFor(lifetime) {
+  const ms = LIFETIMES[lifetime];
+  return ms === null ? null : new Date(Date.now() + ms);
+}
+
+// Take comments by blocked users off the comment counts of lean posts
+async function hideBlockedComments(posts, blockedIds) {
+  if (blockedIds.length === 0 || posts.length === 0) return;
+  
+  const Comment = require('./Comment');
+  const hidden = await Comment.countByPost(posts.map(post => post._id), blockedIds);
+  posts.forEach(post => {
+    post.commentCount = Math.max(0, (post.commentCount || 0) - (hidden.get(post._id.toString()) || 0));
+  });
+}
 
 const PostSchema = new mongoose.Schema({
   author: {
@@ -14,87 +59,112 @@ const PostSchema = new mongoose.Schema({
     trim: true,
     maxlength: 2000,
   },
-  imageUrl: {
+  hashtags: [{
+    // Lowercased, without the '#'
     type: String,
-    trim: true,
-  },
-  likes: [{
+  }],
+  mentions: [{
+    _id: false,
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    }
+    // As written after the '@', to link it when rendering
+    username: String,
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
+  imageUrl: {
+    type: String,
+    trim: true,
+  },
+  media: [{
+    // Uploaded attachments: up to a few images, or a single video
+    kind: {
+      type: String,
+      enum: ['image', 'video'],
       required: true,
     },
-    content: {
+    path: {
       type: String,
       required: true,
-      trim: true,
-      maxlength: 500,
+    },
+    thumbnailPath: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+  }],
+  likes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
     },
     createdAt: {
       type: Date,
       default: Date.now,
     }
   }],
+  commentCount: {
+    // Comments live in their own collection; this counts the ones not deleted
+    type: Number,
+    default: 0,
+  },
   visibility: {
     type: String,
-    enum: ['public', 'friends', 'private'],
+    enum: ['public', 'friends', 'private', 'custom'],
     default: 'friends',
   },
+  audienceLists: [{
+    // Friend lists a 'custom' post is shared with
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FriendList',
+  }],
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  lifetime: {
+    type: String,
+    enum: Object.keys(LIFETIMES),
+    default: DEFAULT_LIFETIME,
+  },
   expiresAt: {
+    // Once this passes the post is archived: only its author can see it.
+    // Null for posts that never expire.
     type: Date,
     default: function() {
-      // Set expiration to 50 hours from creation
-      return new Date(Date.now() + (50 * 60 * 60 * 1000));
+      return expiryFor(DEFAULT_LIFETIME);
     },
-    index: { expireAfterSeconds: 0 } // TTL index for automatic deletion
-  }
+  },
 });
 
 // Create indexes for better query performance
 PostSchema.index({ author: 1, createdAt: -1 });
 PostSchema.index({ createdAt: -1 });
 PostSchema.index({ 'likes.user': 1 });
+PostSchema.index({ author: 1, expiresAt: -1 });
+PostSchema.index({ hashtags: 1, createdAt: -1 });
+PostSchema.index({ 'mentions.user': 1 });
+
+// Parse hashtags and mentions out of new or edited posts
+PostSchema.pre('save', async function() {
+  if (this.isModified('content')) {
+    await applyEntities(this);
+  }
+});
 
 // Virtual for like count
 PostSchema.virtual('likeCount').get(function() {
   return this.likes ? this.likes.length : 0;
 });
 
-// Virtual for comment count
-PostSchema.virtual('commentCount').get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
 // Virtual for time remaining
 PostSchema.virtual('timeRemaining').get(function() {
-  const now = new Date();
-  const expiration = new Date(this.expiresAt);
-  const remainingMs = expiration - now;
-  
-  if (remainingMs <= 0) return 'Expired';
-  
-  const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-  const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-  
-  if (remainingHours > 0) {
-    return `${remainingHours}h ${remainingMinutes}m left`;
-  } else {
-    return `${remainingMinutes}m left`;
-  }
+  return this.constructor.formatTimeRemaining(this.expiresAt);
+});
+
+// Virtual for whether the post has moved to the archive
+PostSchema.virtual('isArchived').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
 });
 
 // Instance method to check if user liked the post
@@ -117,8 +187,165 @@ PostSchema.methods.toggleLike = function(userId) {
   }
 };
 
-// Static method to get posts for user's feed (friends' posts)
-PostSchema.statics.getFeedPosts = async function(userId, page = 1, limit = 10) {
+// Instance method to start a new lifetime, e.g. when restoring from the archive
+PostSchema.methods.startLifetime = function(lifetime = DEFAULT_LIFETIME) {
+  this.lifetime = lifetime;
+  this.expiresAt = expiryFor(lifetime);
+};
+
+// Instance method to check if a user may see the post. Blocks are checked
+// separately by the callers.
+PostSchema.methods.isVisibleTo = async function(userId) {
+  const authorId = this.author._id || this.author;
+  if (authorId.toString() === userId.toString()) return true;
+  
+  // Archived posts are private to their author
+  if (this.isArchived) return false;
+  
+  if (this.visibility === 'public') return true;
+  if (this.visibility === 'private') return false;
+  
+  const Friendship = require('./Friendship');
+  const areFriends = await Friendship.areFriends(userId, authorId);
+  if (!areFriends) return false;
+  if (this.visibility === 'friends') return true;
+  
+  // Custom: the viewer must be on one of the author's chosen lists
+  const FriendList = require('./FriendList');
+  const onList = await FriendList.exists({
+    _id: { $in: this.audienceLists },
+    owner: authorId,
+    members: userId
+  });
+  return !!onList;
+};
+
+// Instance method to get the IDs of users whose feed shows the post: the
+// author and the friends in its audience. Matches getFeedPosts.
+PostSchema.methods.getFeedAudience = async function() {
+  if (this.visibility === 'private' || this.isArchived) return [];
+  
+  const authorId = (this.author._id || this.author).toString();
+  const Friendship = require('./Friendship');
+  const friends = await Friendship.getFriends(authorId);
+  let audience = friends.map(friend => friend._id.toString());
+  
+  if (this.visibility === 'custom') {
+    const FriendList = require('./FriendList');
+    const lists = await FriendList.find({ _id: { $in: this.audienceLists }, owner: authorId }).select('members');
+    const members = new Set(lists.flatMap(list => list.members.map(member => member.toString())));
+    audience = audience.filter(id => members.has(id));
+  }
+  
+  return [authorId, ...audience];
+};
+
+// Instance method to narrow `userIds` down to those who may read the post,
+// leaving out anyone on either side of a block with the post's author or
+// with `actorId`, e.g. before telling mentioned users
+PostSchema.methods.filterReaders = async function(userIds, actorId) {
+  const Friendship = require('./Friendship');
+  const authorId = this.author._id || this.author;
+  const readers = [];
+  
+  for (const userId of userIds) {
+    if (await Friendship.isBlocked(userId, authorId)) continue;
+    if (await Friendship.isBlocked(userId, actorId)) continue;
+    if (await this.isVisibleTo(userId)) readers.push(userId);
+  }
+  return readers;
+};
+
+// Static method to describe when an expiry date comes up, e.g. '3h 20m left'.
+// Returns null for posts that never expire.
+PostSchema.statics.formatTimeRemaining = function(expiresAt) {
+  if (!expiresAt) return null;
+  
+  const remainingMs = new Date(expiresAt) - new Date();
+  if (remainingMs <= 0) return 'Expired';
+  
+  const remainingDays = Math.floor(remainingMs / (24 * HOUR_MS));
+  const remainingHours = Math.floor((remainingMs % (24 * HOUR_MS)) / HOUR_MS);
+  const remainingMinutes = Math.floor((remainingMs % HOUR_MS) / (1000 * 60));
+  
+  if (remainingDays > 0) {
+    return `${remainingDays}d ${remainingHours}h left`;
+  } else if (remainingHours > 0) {
+    return `${remainingHours}h ${remainingMinutes}m left`;
+  } else {
+    return `${remainingMinutes}m left`;
+  }
+};
+
+// Static method to describe how long ago a post was made, e.g. '3 hours ago'
+PostSchema.statics.formatTimeAgo = function(createdAt) {
+  const timeDiff = new Date() - new Date(createdAt);
+  
+  if (timeDiff < 60000) { // Less than 1 minute
+    return 'Just now';
+  } else if (timeDiff < 3600000) { // Less than 1 hour
+    const minutes = Math.floor(timeDiff / 60000);
+    return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+  } else if (timeDiff < 86400000) { // Less than 1 day
+    const hours = Math.floor(timeDiff / 3600000);
+    return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+  } else {
+    const days = Math.floor(timeDiff / 86400000);
+    return `${days} day${days > 1 ? 's' : ''} ago`;
+  }
+};
+
+// Static method to build a query condition matching posts that haven't
+// expired; posts without an expiry date always match
+PostSchema.statics.liveFilter = function() {
+  return { expiresAt: { $not: { $lte: new Date() } } };
+};
+
+// Static method to build a query condition for the posts a user may see,
+// given the IDs of the user's friends. Matches isVisibleTo.
+PostSchema.statics.visibleToFilter = async function(userId, friendIds) {
+  const FriendList = require('./FriendList');
+  const listIds = await FriendList.getListIdsContaining(userId);
+  
+  return {
+    $or: [
+      { author: userId },
+      { visibility: 'public' },
+      { visibility: 'friends', author: { $in: friendIds } },
+      { visibility: 'custom', author: { $in: friendIds }, audienceLists: { $in: listIds } }
+    ]
+  };
+};
+
+// Static method to get the viewer's likes and comments per author, as a
+// Map from author ID to count
+PostSchema.statics.getAuthorAffinity = async function(userId, authorIds) {
+  const Comment = require('./Comment');
+  const me = new mongoose.Types.ObjectId(userId);
+  
+  const results = await this.aggregate([
+    { $match: {
+      author: { $in: authorIds.map(id => new mongoose.Types.ObjectId(id)) },
+      'likes.user': me
+    } },
+    { $project: {
+      author: 1,
+      likes: { $size: { $filter: { input: '$likes', cond: { $eq: ['$$this.user', me] } } } }
+    } },
+    { $group: { _id: '$author', likes: { $sum: '$likes' } } }
+  ]);
+  
+  const affinity = await Comment.countByPostAuthor(userId, authorIds);
+  results.forEach(result => {
+    const authorId = result._id.toString();
+    affinity.set(authorId, (affinity.get(authorId) || 0) + result.likes);
+  });
+  return affinity;
+};
+
+// Static method to get posts for user's feed (friends' posts). 'latest'
+// orders them newest first; 'top' ranks them with feed/ranking.js.
+PostSchema.statics.getFeedPosts = async function(userId, page = 1, limit = 10, mode = 'latest') {
   const Friendship = require('./Friendship');
   
   // Get user's friends
@@ -128,27 +355,99 @@ PostSchema.statics.getFeedPosts = async function(userId, page = 1, limit = 10) {
   // Include user's own posts
   friendIds.push(userId);
   
+  // Leave out anyone on either side of a block
+  const blockedIds = await Friendship.getBlockedIds(userId);
+  
+  const query = this.find({
+    author: { $in: friendIds, $nin: blockedIds },
+    // Private posts stay off the feed, the author's own included
+    visibility: { $ne: 'private' },
+    ...this.liveFilter(),
+    ...await this.visibleToFilter(userId, friendIds)
+  })
+  .populate('author', 'username email isOnline profilePicture')
+  .populate('likes.user', 'username profilePicture')
+  .sort({ createdAt: -1 });
+  
+  const posts = mode === 'top'
+    ? await query.limit(TOP_FEED_CANDIDATES).lean()
+    : await query.skip((page - 1) * limit).limit(limit).lean();
+  
+  // Don't count comments left by blocked users on friends' posts
+  await hideBlockedComments(posts, blockedIds);
+  
+  if (mode === 'top') {
+    // Rank the newest candidates, then page through the ranked list
+    const affinity = await this.getAuthorAffinity(userId, friends.map(friend => friend._id));
+    return ranking.rankPosts(posts, { now: new Date(), affinity })
+      .slice((page - 1) * limit, page * limit);
+  }
+  
+  return posts;
+};
+
+// Static method to build a query condition for posts a user may come across
+// outside the feed, e.g. on tag pages: anyone's live posts the user is in
+// the audience for, leaving out blocked authors
+PostSchema.statics.discoverableFilter = async function(userId, blockedIds) {
+  const Friendship = require('./Friendship');
+  const friends = await Friendship.getFriends(userId);
+  
+  return {
+    author: { $nin: blockedIds },
+    ...this.liveFilter(),
+    ...await this.visibleToFilter(userId, friends.map(friend => friend._id))
+  };
+};
+
+// Static method to get the posts with a hashtag that a user may see, newest first
+PostSchema.statics.getTaggedPosts = async function(userId, tag, page = 1, limit = 10) {
+  const Friendship = require('./Friendship');
+  const blockedIds = await Friendship.getBlockedIds(userId);
+  
   const posts = await this.find({
-    author: { $in: friendIds },
-    visibility: { $in: ['public', 'friends'] }
+    hashtags: tag,
+    ...await this.discoverableFilter(userId, blockedIds)
   })
   .populate('author', 'username email isOnline profilePicture')
   .populate('likes.user', 'username profilePicture')
-  .populate('comments.user', 'username profilePicture')
   .sort({ createdAt: -1 })
   .skip((page - 1) * limit)
   .limit(limit)
   .lean();
   
+  await hideBlockedComments(posts, blockedIds);
   return posts;
 };
 
+// Static method to rank the hashtags used most in the last `hours`, counting
+// only posts the user may see. Ties go to the tag used most recently.
+PostSchema.statics.getTrendingTags = async function(userId, hours = 24, limit = 10) {
+  const Friendship = require('./Friendship');
+  const blockedIds = await Friendship.getBlockedIds(userId);
+  
+  // Aggregations skip schema casting, so let a query cast the conditions
+  const match = this.find({
+    'hashtags.0': { $exists: true },
+    createdAt: { $gte: new Date(Date.now() - hours * HOUR_MS) },
+    ...await this.discoverableFilter(userId, blockedIds)
+  }).cast();
+  
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$hashtags' },
+    { $group: { _id: '$hashtags', count: { $sum: 1 }, lastUsedAt: { $max: '$createdAt' } } },
+    { $sort: { count: -1, lastUsedAt: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1, lastUsedAt: 1 } }
+  ]);
+};
+
 // Static method to get user's posts
 PostSchema.statics.getUserPosts = async function(userId, page = 1, limit = 10) {
-  const posts = await this.find({ author: userId })
+  const posts = await this.find({ author: userId, ...this.liveFilter() })
     .populate('author', 'username email isOnline profilePicture')
     .populate('likes.user', 'username profilePicture')
-    .populate('comments.user', 'username profilePicture')
     .sort({ createdAt: -1 })
     .skip((page - 1) * limit)
     .limit(limit);
@@ -156,6 +455,20 @@ PostSchema.statics.getUserPosts = async function(userId, page = 1, limit = 10) {
   return posts;
 };
 
+// Static method to get a user's archived posts, most recently expired first
+PostSchema.statics.getArchivedPosts = async function(userId, page = 1, limit = 10) {
+  return this.find({ author: userId, expiresAt: { $lte: new Date() } })
+    .populate('author', 'username profilePicture')
+    .sort({ expiresAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit);
+};
+
+PostSchema.statics.LIFETIMES = LIFETIMES;
+PostSchema.statics.DEFAULT_LIFETIME = DEFAULT_LIFETIME;
+PostSchema.statics.LIFETIME_LABELS = LIFETIME_LABELS;
+PostSchema.statics.FEED_MODES = FEED_MODES;
+
 // Ensure virtual fields are included in JSON output
 PostSchema.set('toJSON', { virtuals: true });
 PostSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,76 @@
+// models/PushSubscription.js
+
+const mongoose = require('mongoose');
+
+// Push categories a device can opt into
+const CATEGORIES = ['messages', 'calls', 'friendRequests'];
+
+const PushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  endpoint: {
+    type: String,
+    required: true,
+    unique: true,
+    // Push service URL; one per browser/device
+  },
+  keys: {
+    p256dh: {
+      type: String,
+      required: true,
+    },
+    auth: {
+      type: String,
+      required: true,
+    }
+  },
+  categories: {
+    messages: {
+      type: Boolean,
+      default: false,
+    },
+    calls: {
+      type: Boolean,
+      default: false,
+    },
+    friendRequests: {
+      type: Boolean,
+      default: false,
+    }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+});
+
+// Create indexes for better query performance
+PushSubscriptionSchema.index({ user: 1 });
+
+// Static method to keep only known categories as booleans
+PushSubscriptionSchema.statics.normalizeCategories = function(categories = {}) {
+  const normalized = {};
+  CATEGORIES.forEach(category => {
+    normalized[category] = categories[category] === true;
+  });
+  return normalized;
+};
+
+// Static method to get a user's subscriptions that opted into a category
+PushSubscriptionSchema.statics.findForCategory = async function(userId, category) {
+  return this.find({ user: userId, [`categories.${category}`]: true });
+};
+
+PushSubscriptionSchema.statics.CATEGORIES = CATEGORIES;
+
+module.exports = mongoose.model('PushSubscription', PushSubscriptionSchema);
@@ -0,0 +1,24 @@
+// models/Session.js
+
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    // Session ID issued by express-session
+  },
+  session: {
+    type: String,
+    required: true,
+    // Serialized session data
+  },
+  expires: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB drop sessions once they expire
+SessionSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
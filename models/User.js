@@ -1,7 +1,14 @@
 // models/User.js
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// scrypt parameters for password hashing
+const HASH_PREFIX = 'scrypt';
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+
 const UserSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -47,8 +54,47 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
-  socketId: {
-    type: String,
+  connections: [{
+    // One entry per open Socket.IO connection (tab or device)
+    socketId: {
+      type: String,
+      required: true,
+    },
+    server: {
+      type: String,
+      // Instance that holds the socket, so a restart can drop its stale entries
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now,
+    }
+  }],
+  mutes: [{
+    // Conversations whose notifications are silenced; one target per entry
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      // Direct chat with this user
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      // Group conversation
+    },
+    until: {
+      type: Date,
+      default: null,
+      // null mutes until the user unmutes
+    }
+  }],
+  eventSeq: {
+    type: Number,
+    default: 0,
+    // Last sequence number handed out for this user's replayable events
   },
   createdAt: {
     type: Date,
@@ -56,4 +102,169 @@ const UserSchema = new mongoose.Schema({
   },
 });
 
+// Static method to register a new socket connection and mark the user online
+UserSchema.statics.addConnection = async function(userId, socketId, server) {
+  return this.findByIdAndUpdate(userId, {
+    $push: { connections: { socketId, server, active: true } },
+    isOnline: true,
+    lastSeen: new Date()
+  }, { new: true });
+};
+
+// Static method to drop a socket connection. The user only goes offline once
+// their last connection is gone; returns true if that happened.
+UserSchema.statics.removeConnection = async function(userId, socketId) {
+  await this.updateOne({ _id: userId }, { $pull: { connections: { socketId } } });
+
+  const result = await this.updateOne(
+    { _id: userId, connections: { $size: 0 }, isOnline: true },
+    { isOnline: false, lastSeen: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to flag one connection as active (visible) or idle.
+// Returns true if any of the user's connections is still active.
+UserSchema.statics.setConnectionActive = async function(userId, socketId, active) {
+  const user = await this.findOneAndUpdate(
+    { _id: userId, 'connections.socketId': socketId },
+    { $set: { 'connections.$.active': active }, lastSeen: new Date() },
+    { new: true }
+  ).select('connections');
+
+  return !!user && user.connections.some(connection => connection.active);
+};
+
+// Static method to check if a socket belongs to a user
+UserSchema.statics.hasConnection = async function(userId, socketId) {
+  if (!socketId) return false;
+  const count = await this.countDocuments({ _id: userId, 'connections.socketId': socketId });
+  return count > 0;
+};
+
+// Static method to check if a user has any open connection
+UserSchema.statics.isConnected = async function(userId) {
+  const count = await this.countDocuments({ _id: userId, 'connections.0': { $exists: true } });
+  return count > 0;
+};
+
+// Static method to clear connections left behind by a previous run of a server
+UserSchema.statics.clearServerConnections = async function(server) {
+  await this.updateMany(
+    { 'connections.server': server },
+    { $pull: { connections: { server } } }
+  );
+  await this.updateMany(
+    { connections: { $size: 0 }, isOnline: true },
+    { isOnline: false, lastSeen: new Date() }
+  );
+};
+
+// Turn a mute target ({ user } or { conversation }) into a query on mutes entries
+function muteTarget(target) {
+  return target.conversation
+    ? { conversation: target.conversation }
+    : { user: target.user };
+}
+
+// Longest timed mute; anything longer should be an indefinite mute
+const MAX_MUTE_MINUTES = 30 * 24 * 60;
+
+// Static method to turn a requested mute length in minutes into an expiry.
+// Returns null for an indefinite mute and undefined for an invalid length.
+UserSchema.statics.muteExpiry = function(minutes) {
+  if (minutes === undefined || minutes === null || minutes === '') return null;
+  
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_MUTE_MINUTES) return undefined;
+  
+  return new Date(Date.now() + value * 60 * 1000);
+};
+
+// Static method to mute a conversation, replacing any earlier mute of it
+UserSchema.statics.setMute = async function(userId, target, until = null) {
+  await this.updateOne({ _id: userId }, { $pull: { mutes: muteTarget(target) } });
+  await this.updateOne({ _id: userId }, { $push: { mutes: { ...muteTarget(target), until } } });
+};
+
+// Static method to unmute a conversation
+UserSchema.statics.clearMute = async function(userId, target) {
+  await this.updateOne({ _id: userId }, { $pull: { mutes: muteTarget(target) } });
+};
+
+// Static method to check if a conversation is currently muted
+UserSchema.statics.isMuted = async function(userId, target) {
+  const count = await this.countDocuments({
+    _id: userId,
+    mutes: {
+      $elemMatch: {
+        ...muteTarget(target),
+        $or: [{ until: null }, { until: { $gt: new Date() } }]
+      }
+    }
+  });
+  return count > 0;
+};
+
+// Derive a scrypt key from a password and salt
+function deriveKey(password, salt, cost = SCRYPT_COST) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, { N: cost }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// Stored format: scrypt$<cost>$<salt hex>$<key hex>
+const HASH_PATTERN = new RegExp(`^${HASH_PREFIX}\\$(\\d{1,10})\\$([0-9a-f]{${SALT_BYTES * 2}})\\$([0-9a-f]{${KEY_LENGTH * 2}})$`);
+
+// Check the whole format, not just the prefix: anything else is a legacy
+// plaintext row, whatever it starts with
+function parseHash(value) {
+  const match = typeof value === 'string' && value.match(HASH_PATTERN);
+  if (!match) return null;
+
+  // scrypt needs a power of two above 1
+  const cost = parseInt(match[1]);
+  if (cost < 2 || (cost & (cost - 1)) !== 0) return null;
+
+  return { cost, salt: Buffer.from(match[2], 'hex'), key: Buffer.from(match[3], 'hex') };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt);
+  return [HASH_PREFIX, SCRYPT_COST, salt.toString('hex'), key.toString('hex')].join('$');
+}
+
+// Hash the password whenever it is set; it is always the plaintext the user
+// typed, even when it looks like a stored hash
+UserSchema.pre('save', async function() {
+  if (!this.isModified('password')) return;
+  this.password = await hashPassword(this.password);
+});
+
+// Instance method to check a candidate password in constant time
+UserSchema.methods.verifyPassword = async function(candidate) {
+  if (typeof candidate !== 'string' || !this.password) return false;
+
+  const hash = parseHash(this.password);
+  if (!hash) {
+    // Legacy plaintext row: compare fixed-length digests so timing doesn't leak length
+    const stored = crypto.createHash('sha256').update(this.password).digest();
+    const given = crypto.createHash('sha256').update(candidate).digest();
+    return crypto.timingSafeEqual(stored, given);
+  }
+
+  const actual = await deriveKey(candidate, hash.salt, hash.cost);
+  return crypto.timingSafeEqual(hash.key, actual);
+};
+
+// Instance method to check if the stored password should be re-hashed
+UserSchema.methods.needsRehash = function() {
+  const hash = parseHash(this.password);
+  return !hash || hash.cost !== SCRYPT_COST;
+};
+
 module.exports = mongoose.model('User', UserSchema);
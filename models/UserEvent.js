@@ -0,0 +1,92 @@
+// models/UserEvent.js
+
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// How long missed events stay available for replay
+const RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 7;
+
+const UserEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  seq: {
+    type: Number,
+    required: true,
+    // Per-user, strictly increasing
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  origin: {
+    type: String,
+    // Client ID of the user's own page that caused the event; that page
+    // already applied it, so it isn't replayed there
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Create indexes for better query performance
+UserEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+UserEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to append an event to each user's log; returns the stored events.
+// `origin` ({ user, client }) marks the event of the user whose page caused it.
+UserEventSchema.statics.record = async function(userIds, event, payload, origin = null) {
+  // Store the payload as it goes over the wire (populated docs, ObjectIds as strings)
+  const plainPayload = payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+
+  const events = [];
+  for (const userId of userIds) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $inc: { eventSeq: 1 } },
+      { new: true }
+    ).select('eventSeq');
+    if (!user) continue;
+
+    const isOrigin = origin && origin.client && origin.user.toString() === userId.toString();
+    events.push({
+      user: userId,
+      seq: user.eventSeq,
+      event,
+      payload: plainPayload,
+      origin: isOrigin ? origin.client : undefined
+    });
+  }
+
+  if (events.length === 0) return [];
+  return this.insertMany(events);
+};
+
+// Static method to get the events a user missed after `lastSeq`. `truncated` is
+// true when some were already expired or there are more than `limit`, in
+// which case the client should refetch its state instead.
+UserEventSchema.statics.getMissed = async function(userId, lastSeq, limit = 500) {
+  const events = await this.find({ user: userId, seq: { $gt: lastSeq } })
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = events.length > limit;
+  if (hasMore) events.pop();
+
+  const user = await User.findById(userId).select('eventSeq').lean();
+  const currentSeq = user ? user.eventSeq : 0;
+
+  const firstSeq = events.length > 0 ? events[0].seq : currentSeq + 1;
+  const truncated = hasMore || firstSeq > lastSeq + 1;
+
+  return { events, currentSeq, truncated };
+};
+
+module.exports = mongoose.model('UserEvent', UserEventSchema);
@@ -0,0 +1,35 @@
+// Hashtag and mention links for user-written text rendered in the browser.
+// Mirrors renderEntities in text/entities.js on the server.
+const ENTITY_PATTERN = /(^|[^\p{L}\p{N}_&#])#((?=[\p{N}_]*\p{L})[\p{L}\p{N}_]{1,50})|(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]{1,30})/gu;
+
+function escapeEntityText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+// Escape text and link its #hashtags and the @mentions listed in `mentions`
+// ([{ user, username }] as stored with the post, comment or message)
+function renderEntities(text, mentions) {
+    text = text == null ? '' : String(text);
+    const mentionIds = new Map((mentions || []).map(mention => [mention.username, mention.user._id || mention.user]));
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(ENTITY_PATTERN)) {
+        const [whole, tagPrefix, tag, mentionPrefix, rawName] = match;
+        let link = '';
+
+        if (tag) {
+            link = `${escapeEntityText(tagPrefix)}<a href="/hashtags/${encodeURIComponent(tag.toLowerCase())}" class="hashtag-link">#${escapeEntityText(tag)}</a>`;
+        } else {
+            const name = rawName.replace(/[.-]+$/, '');
+            if (!mentionIds.has(name)) continue;
+            link = `${escapeEntityText(mentionPrefix)}<a href="/profile/${encodeURIComponent(mentionIds.get(name))}" class="mention-link">@${escapeEntityText(name)}</a>${escapeEntityText(rawName.slice(name.length))}`;
+        }
+
+        html += escapeEntityText(text.slice(lastIndex, match.index)) + link;
+        lastIndex = match.index + whole.length;
+    }
+    return html + escapeEntityText(text.slice(lastIndex));
+}
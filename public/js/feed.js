@@ -0,0 +1,79 @@
+// Live feed - new post banner, like counts and comment threads
+// Expects the dashboard's #postsFeed and #newPostsBanner; loads after
+// /js/socket.js and /js/script.js
+const newPostsBanner = document.getElementById('newPostsBanner');
+
+// Posts announced since the page loaded, so repeats only count once
+const announcedPostIds = new Set();
+
+function updateNewPostsBanner() {
+    if (!newPostsBanner) return;
+    const count = announcedPostIds.size;
+    if (count > 0) {
+        newPostsBanner.textContent = `↑ ${count} new post${count > 1 ? 's' : ''}`;
+        newPostsBanner.style.display = 'block';
+    } else {
+        newPostsBanner.style.display = 'none';
+    }
+}
+
+if (newPostsBanner) {
+    newPostsBanner.addEventListener('click', () => {
+        window.scrollTo(0, 0);
+        refreshFeed();
+    });
+}
+
+if (appSocket) {
+    // Room membership doesn't survive a reconnect, so ask again each time.
+    // The shared socket may have connected before this script ran.
+    appSocket.on('connect', () => {
+        appSocket.emit('watch-feed');
+    });
+    if (appSocket.connected) appSocket.emit('watch-feed');
+
+    appSocket.on('feed-new-post', (data) => {
+        if (document.querySelector(`[data-post-id="${data.postId}"]`)) return;
+        announcedPostIds.add(data.postId);
+        updateNewPostsBanner();
+    });
+
+    appSocket.on('feed-like-count', (data) => {
+        const likeCount = document.getElementById(`like-count-${data.postId}`);
+        if (likeCount) likeCount.textContent = data.likeCount;
+    });
+
+    appSocket.on('feed-comment', (data) => {
+        const commentCount = document.getElementById(`comment-count-${data.postId}`);
+        if (!commentCount) return;
+        commentCount.textContent = data.commentCount;
+
+        // Threads that haven't been opened pick the comment up when they load
+        if (data.parentId) {
+            const repliesList = document.getElementById(`replies-list-${data.parentId}`);
+            if (repliesList && repliesList.dataset.loaded) {
+                addCommentToUI(repliesList, data.comment, false);
+            } else {
+                bumpReplyCount(data.parentId);
+            }
+            return;
+        }
+
+        const commentsSection = document.getElementById(`comments-${data.postId}`);
+        if (commentsSection && commentsSection.dataset.loaded) {
+            addCommentToUI(document.getElementById(`comments-list-${data.postId}`), data.comment, false);
+        }
+    });
+
+    appSocket.on('feed-comment-edited', (data) => {
+        applyCommentEdit(data.commentId, data.content, data.mentions);
+    });
+
+    appSocket.on('feed-comment-removed', (data) => {
+        applyCommentRemoval(data);
+    });
+
+    appSocket.on('feed-comment-like-count', (data) => {
+        updateCommentLikeCount(data.commentId, data.likeCount);
+    });
+}
@@ -0,0 +1,329 @@
+// Notification center - nav badge, dropdown panel and live updates
+// Expects a #notificationsToggle link with a #notificationsBadge inside and
+// a #notificationsPanel next to it; loads after /js/socket.js
+const notificationsToggle = document.getElementById('notificationsToggle');
+const notificationsPanel = document.getElementById('notificationsPanel');
+const notificationsBadge = document.getElementById('notificationsBadge');
+
+let notifications = [];
+let hasMoreNotifications = false;
+let notificationsLoaded = false;
+
+// Web Push opt-in for this device, one switch per category
+const pushCategoryLabels = {
+    messages: 'New messages',
+    calls: 'Incoming calls',
+    friendRequests: 'Friend requests'
+};
+let pushSubscription = null;
+let pushSettingsLoaded = false;
+
+function escapeNotificationText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
+}
+
+function updateNotificationsBadge(count) {
+    if (!notificationsBadge) return;
+    if (count > 0) {
+        notificationsBadge.textContent = count > 99 ? '99+' : count;
+        notificationsBadge.style.display = 'inline-flex';
+    } else {
+        notificationsBadge.style.display = 'none';
+    }
+}
+
+// Short relative time, e.g. "5m" or "3d"
+function formatNotificationTime(date) {
+    const seconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+    if (seconds < 60) return 'now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    return `${Math.floor(seconds / 86400)}d`;
+}
+
+// Sentence and destination for a notification
+function describeNotification(notification) {
+    const name = `<strong>${escapeNotificationText(notification.actor ? notification.actor.username : 'Someone')}</strong>`;
+    const preview = notification.preview ? ` “${escapeNotificationText(notification.preview)}”` : '';
+    const actorId = notification.actor ? notification.actor._id : '';
+
+    switch (notification.type) {
+        case 'friend-request':
+            return { text: `${name} sent you a friend request`, href: '/friends' };
+        case 'friend-accepted':
+            return { text: `${name} accepted your friend request`, href: `/profile/${actorId}` };
+        case 'post-like':
+            return { text: `${name} liked your post${preview}`, href: '/dashboard' };
+        case 'post-comment':
+            return { text: `${name} commented on your post:${preview}`, href: '/dashboard' };
+        case 'comment-reply':
+            return { text: `${name} replied to your comment:${preview}`, href: '/dashboard' };
+        case 'mention':
+            if (notification.message) {
+                return { text: `${name} mentioned you in a message${preview}`, href: '/messages' };
+            }
+            return notification.comment
+                ? { text: `${name} mentioned you in a comment${preview}`, href: '/dashboard' }
+                : { text: `${name} mentioned you in a post${preview}`, href: '/dashboard' };
+        case 'message':
+            if (notification.conversation) {
+                return notification.count > 1
+                    ? { text: `${name} sent ${notification.count} messages to a group`, href: '/messages' }
+                    : { text: `${name} sent a message to a group${preview}`, href: '/messages' };
+            }
+            return notification.count > 1
+                ? { text: `${name} sent you ${notification.count} messages`, href: '/messages' }
+                : { text: `${name} sent you a message${preview}`, href: '/messages' };
+        default:
+            return { text: `${name} did something`, href: '/dashboard' };
+    }
+}
+
+function renderNotifications() {
+    if (!notificationsPanel) return;
+
+    const list = notificationsPanel.querySelector('.notifications-list');
+    if (notifications.length === 0) {
+        list.innerHTML = '<div class="notifications-empty">No notifications yet</div>';
+    } else {
+        list.innerHTML = notifications.map(notification => {
+            const { text, href } = describeNotification(notification);
+            return `
+                <a class="notification-item ${notification.read ? '' : 'unread'}"
+                   href="${href}" data-notification-id="${notification._id}">
+                    <span class="notification-text">${text}</span>
+                    <span class="notification-time">${formatNotificationTime(notification.createdAt)}</span>
+                </a>
+            `;
+        }).join('');
+    }
+
+    notificationsPanel.querySelector('.notifications-more').style.display = hasMoreNotifications ? 'block' : 'none';
+}
+
+async function loadNotifications(append = false) {
+    try {
+        let url = '/api/notifications';
+        if (append && notifications.length > 0) {
+            url += `?before=${encodeURIComponent(notifications[notifications.length - 1].createdAt)}`;
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        notifications = append ? notifications.concat(data.notifications) : data.notifications;
+        hasMoreNotifications = data.hasMore;
+        notificationsLoaded = true;
+
+        updateNotificationsBadge(data.unreadCount);
+        renderNotifications();
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+    }
+}
+
+async function loadNotificationCount() {
+    try {
+        const response = await fetch('/api/notifications/unread-count');
+        if (response.ok) {
+            const data = await response.json();
+            updateNotificationsBadge(data.count);
+        }
+    } catch (error) {
+        console.error('Error loading notification count:', error);
+    }
+}
+
+async function markNotificationRead(notificationId) {
+    try {
+        const response = await fetch(`/api/notifications/${notificationId}/read`, { method: 'POST' });
+        if (response.ok) {
+            const data = await response.json();
+            updateNotificationsBadge(data.unreadCount);
+        }
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        const response = await fetch('/api/notifications/read-all', { method: 'POST' });
+        if (response.ok) {
+            notifications.forEach(notification => { notification.read = true; });
+            updateNotificationsBadge(0);
+            renderNotifications();
+        }
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+    }
+}
+
+// The push service wants the VAPID key as raw bytes
+function urlBase64ToUint8Array(base64) {
+    const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4))
+        .replace(/-/g, '+')
+        .replace(/_/g, '/');
+    return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+}
+
+function getPushCheckboxes() {
+    return Array.from(notificationsPanel.querySelectorAll('.push-settings input[type="checkbox"]'));
+}
+
+async function loadPushSettings() {
+    const section = notificationsPanel.querySelector('.push-settings');
+    pushSettingsLoaded = true;
+
+    try {
+        if (!('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+        // Hidden unless the server has VAPID keys
+        const keyResponse = await fetch('/api/push/public-key');
+        if (!keyResponse.ok) return;
+
+        const registration = await navigator.serviceWorker.register('/sw.js');
+        pushSubscription = await registration.pushManager.getSubscription();
+
+        let categories = {};
+        if (pushSubscription) {
+            const response = await fetch(`/api/push/subscription?endpoint=${encodeURIComponent(pushSubscription.endpoint)}`);
+            if (response.ok) categories = (await response.json()).categories;
+        }
+
+        getPushCheckboxes().forEach(checkbox => {
+            checkbox.checked = !!categories[checkbox.value];
+        });
+        section.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading push settings:', error);
+    }
+}
+
+async function savePushSettings() {
+    const categories = {};
+    getPushCheckboxes().forEach(checkbox => {
+        categories[checkbox.value] = checkbox.checked;
+    });
+    const anyEnabled = Object.values(categories).some(Boolean);
+
+    try {
+        if (!anyEnabled) {
+            if (pushSubscription) {
+                await fetch('/api/push/unsubscribe', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ endpoint: pushSubscription.endpoint })
+                });
+                await pushSubscription.unsubscribe();
+                pushSubscription = null;
+            }
+            return;
+        }
+
+        if (!pushSubscription) {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                getPushCheckboxes().forEach(checkbox => { checkbox.checked = false; });
+                return;
+            }
+
+            const { publicKey } = await (await fetch('/api/push/public-key')).json();
+            const registration = await navigator.serviceWorker.ready;
+            pushSubscription = await registration.pushManager.subscribe({
+                userVisibleOnly: true,
+                applicationServerKey: urlBase64ToUint8Array(publicKey)
+            });
+        }
+
+        // Upsert, so a device last used by another account moves to this one
+        await fetch('/api/push/subscribe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ subscription: pushSubscription.toJSON(), categories })
+        });
+    } catch (error) {
+        console.error('Error saving push settings:', error);
+    }
+}
+
+function toggleNotificationsPanel(e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const isOpen = notificationsPanel.style.display === 'flex';
+    notificationsPanel.style.display = isOpen ? 'none' : 'flex';
+    if (!isOpen) {
+        loadNotifications();
+        if (!pushSettingsLoaded) loadPushSettings();
+    }
+}
+
+if (notificationsToggle && notificationsPanel) {
+    notificationsPanel.innerHTML = `
+        <div class="notifications-header">
+            <h3>Notifications</h3>
+            <button type="button" class="notifications-read-all">Mark all as read</button>
+        </div>
+        <div class="notifications-list"></div>
+        <button type="button" class="notifications-more" style="display: none;">Show older</button>
+        <div class="push-settings" style="display: none;">
+            <h4>Push notifications on this device</h4>
+            ${Object.keys(pushCategoryLabels).map(category => `
+                <label class="push-setting">
+                    <input type="checkbox" value="${category}">
+                    ${pushCategoryLabels[category]}
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    notificationsToggle.addEventListener('click', toggleNotificationsPanel);
+    notificationsPanel.addEventListener('click', (e) => e.stopPropagation());
+    notificationsPanel.querySelector('.notifications-read-all').addEventListener('click', markAllNotificationsRead);
+    notificationsPanel.querySelector('.notifications-more').addEventListener('click', () => loadNotifications(true));
+    getPushCheckboxes().forEach(checkbox => checkbox.addEventListener('change', savePushSettings));
+
+    // Mark as read before following the link
+    notificationsPanel.querySelector('.notifications-list').addEventListener('click', async (e) => {
+        const item = e.target.closest('.notification-item');
+        if (!item || !item.classList.contains('unread')) return;
+
+        e.preventDefault();
+        await markNotificationRead(item.dataset.notificationId);
+        window.location.href = item.getAttribute('href');
+    });
+
+    document.addEventListener('click', () => {
+        notificationsPanel.style.display = 'none';
+    });
+}
+
+if (appSocket) {
+    // Notifications are stored server-side, so a refetch covers anything missed while offline
+    // The shared socket may have connected before this script ran
+    appSocket.on('connect', loadNotificationCount);
+    if (appSocket.connected) loadNotificationCount();
+
+    appSocket.on('notification', (data) => {
+        updateNotificationsBadge(data.unreadCount);
+        if (!notificationsLoaded) return;
+
+        // Repeated events update an existing notification
+        notifications = notifications.filter(notification => notification._id !== data.notification._id);
+        notifications.unshift(data.notification);
+        renderNotifications();
+    });
+
+    appSocket.on('notifications-updated', (data) => {
+        updateNotificationsBadge(data.unreadCount);
+        if (notificationsLoaded && notificationsPanel && notificationsPanel.style.display === 'flex') {
+            loadNotifications();
+        }
+    });
+} else {
+    document.addEventListener('DOMContentLoaded', loadNotificationCount);
+}
@@ -104,7 +104,7 @@ async function toggleLike(postId) {
     }
 }
 
-// Toggle comments section visibility
+// Toggle comments section visibility; the first opening loads the newest comments
 function toggleComments(postId) {
     const commentsSection = document.getElementById(`comments-${postId}`);
     
@@ -115,6 +115,10 @@ function toggleComments(postId) {
     
     if (commentsSection.style.display === 'none' || !commentsSection.style.display) {
         commentsSection.style.display = 'block';
+        if (!commentsSection.dataset.loaded) {
+            commentsSection.dataset.loaded = 'true';
+            loadComments(postId);
+        }
         // Focus on comment input
         const commentInput = document.getElementById(`comment-input-${postId}`);
         if (commentInput) {
@@ -125,10 +129,129 @@ function toggleComments(postId) {
     }
 }
 
-// Add comment functionality
-async function addComment(postId) {
-    const commentInput = document.getElementById(`comment-input-${postId}`);
-    const commentsList = document.getElementById(`comments-list-${postId}`);
+// Load the next page of comments on a post, or of replies to `parentId`.
+// Pages come newest first and go in above what's already showing.
+async function loadComments(postId, parentId = null) {
+    const commentsList = document.getElementById(parentId ? `replies-list-${parentId}` : `comments-list-${postId}`);
+    const moreButton = document.getElementById(parentId ? `replies-more-${parentId}` : `comments-more-${postId}`);
+    if (!commentsList) return;
+    
+    // Page back from the oldest comment showing. Before the first page the
+    // list only holds comments just added, so start from the newest.
+    const params = new URLSearchParams();
+    const oldestComment = commentsList.dataset.loaded ? commentsList.firstElementChild : null;
+    if (oldestComment) params.set('before', oldestComment.id.replace('comment-', ''));
+    const url = parentId ? `/api/comments/${parentId}/replies` : `/api/posts/${postId}/comments`;
+    
+    if (moreButton) moreButton.disabled = true;
+    
+    try {
+        const response = await fetch(`${url}?${params}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load comments');
+        
+        data.comments.forEach(comment => {
+            // Comments that arrived live may already be showing
+            if (document.getElementById(`comment-${comment._id}`)) return;
+            commentsList.insertBefore(createCommentElement(comment), commentsList.firstChild);
+        });
+        commentsList.dataset.loaded = 'true';
+        
+        if (moreButton) {
+            moreButton.textContent = parentId ? 'View earlier replies' : 'View earlier comments';
+            moreButton.style.display = data.hasMore ? 'block' : 'none';
+        }
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        showToast(error.message || 'Failed to load comments', 'error');
+    } finally {
+        if (moreButton) moreButton.disabled = false;
+    }
+}
+
+// Build the element for one comment, with its actions and a place for replies
+function createCommentElement(comment) {
+    const commentElement = document.createElement('div');
+    commentElement.className = 'comment';
+    commentElement.id = `comment-${comment._id}`;
+    
+    const timeString = new Date(comment.createdAt).toLocaleString();
+    const avatarHtml = comment.user && comment.user.profilePicture
+        ? `<img src="${comment.user.profilePicture}" alt="${escapeHtml(comment.user.username)}">`
+        : (comment.user && comment.user.username ? escapeHtml(comment.user.username.charAt(0).toUpperCase()) : '?');
+    const userId = comment.user && (comment.user._id || comment.user.id);
+    const username = comment.user && comment.user.username ? escapeHtml(comment.user.username) : 'User';
+    const replyCount = comment.replyCount || 0;
+    
+    commentElement.innerHTML = `
+        <a href="/profile/${userId}" class="comment-avatar" title="View profile" style="text-decoration:none;color:inherit;">${avatarHtml}</a>
+        <div class="comment-content">
+            <strong><a href="/profile/${userId}" style="text-decoration:none;color:inherit;"> ${username}</a></strong>
+            <p class="comment-text"></p>
+            <small>${timeString}<span class="comment-edited"></span></small>
+            <div class="comment-actions"></div>
+            <div class="comment-replies">
+                <button class="comments-more" id="replies-more-${comment._id}" data-reply-count="${replyCount}"
+                        style="display: ${replyCount > 0 ? 'block' : 'none'};"
+                        onclick="loadComments('${comment.post}', '${comment._id}')">View ${replyCount} repl${replyCount === 1 ? 'y' : 'ies'}</button>
+                <div class="replies-list" id="replies-list-${comment._id}"></div>
+                <div class="comment-form reply-form" id="reply-form-${comment._id}" style="display: none;">
+                    <input type="text" placeholder="Write a reply..." id="reply-input-${comment._id}" onkeypress="handleCommentKeyPress(event, '${comment.post}', '${comment._id}')">
+                    <button onclick="addComment('${comment.post}', '${comment._id}')">Reply</button>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    if (comment.isDeleted) {
+        showCommentAsDeleted(commentElement, comment.content);
+        return commentElement;
+    }
+    
+    commentElement.querySelector('.comment-text').innerHTML = renderEntities(comment.content, comment.mentions);
+    if (comment.editedAt) {
+        commentElement.querySelector('.comment-edited').textContent = ' · edited';
+    }
+    
+    commentElement.querySelector('.comment-actions').innerHTML = `
+        <button class="comment-action ${comment.isLikedByUser ? 'liked' : ''}" id="comment-like-${comment._id}" onclick="toggleCommentLike('${comment._id}')">
+            ♥ <span id="comment-like-count-${comment._id}">${comment.likeCount || 0}</span>
+        </button>
+        <button class="comment-action" onclick="showReplyForm('${comment._id}')">Reply</button>
+        ${comment.canEdit ? `<button class="comment-action" onclick="editComment('${comment._id}')">Edit</button>` : ''}
+        ${comment.canDelete ? `<button class="comment-action" onclick="deleteComment('${comment._id}')">Delete</button>` : ''}
+    `;
+    
+    return commentElement;
+}
+
+// Swap a comment's text for the deleted placeholder, keeping its replies
+function showCommentAsDeleted(commentElement, placeholder) {
+    commentElement.classList.add('deleted');
+    commentElement.querySelector('.comment-text').textContent = placeholder;
+    commentElement.querySelector('.comment-edited').textContent = '';
+    commentElement.querySelector('.comment-actions').innerHTML = '';
+    
+    const replyForm = commentElement.querySelector('.reply-form');
+    if (replyForm) replyForm.style.display = 'none';
+}
+
+// Show or hide the reply box under a comment
+function showReplyForm(commentId) {
+    const replyForm = document.getElementById(`reply-form-${commentId}`);
+    if (!replyForm) return;
+    
+    const isHidden = replyForm.style.display === 'none';
+    replyForm.style.display = isHidden ? 'flex' : 'none';
+    if (isHidden) {
+        document.getElementById(`reply-input-${commentId}`).focus();
+    }
+}
+
+// Add a comment to a post, or a reply to one of its comments
+async function addComment(postId, parentId = null) {
+    const commentInput = document.getElementById(parentId ? `reply-input-${parentId}` : `comment-input-${postId}`);
+    const commentsList = document.getElementById(parentId ? `replies-list-${parentId}` : `comments-list-${postId}`);
     const commentCount = document.getElementById(`comment-count-${postId}`);
     
     if (!commentInput || !commentsList || !commentCount) {
@@ -151,7 +274,7 @@ async function addComment(postId) {
     // Disable input during request
     commentInput.disabled = true;
     const originalPlaceholder = commentInput.placeholder;
-    commentInput.placeholder = 'Adding comment...';
+    commentInput.placeholder = parentId ? 'Adding reply...' : 'Adding comment...';
     
     try {
         const response = await fetch(`/api/posts/${postId}/comment`, {
@@ -159,7 +282,7 @@ async function addComment(postId) {
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ content })
+            body: JSON.stringify({ content, parentId })
         });
         
         if (!response.ok) {
@@ -178,7 +301,7 @@ async function addComment(postId) {
         // Add new comment to the list
         addCommentToUI(commentsList, data.comment);
         
-        showToast('Comment added successfully!');
+        showToast(parentId ? 'Reply added successfully!' : 'Comment added successfully!');
         
     } catch (error) {
         console.error('Error adding comment:', error);
@@ -191,37 +314,23 @@ async function addComment(postId) {
     }
 }
 
-// Handle Enter key press in comment input
-function handleCommentKeyPress(event, postId) {
+// Handle Enter key press in comment and reply inputs
+function handleCommentKeyPress(event, postId, parentId = null) {
     if (event.key === 'Enter') {
         event.preventDefault();
-        addComment(postId);
+        addComment(postId, parentId);
     }
 }
 
-// Add comment to UI
-function addCommentToUI(commentsList, comment) {
-    const commentElement = document.createElement('div');
-    commentElement.className = 'comment';
+// Add comment to UI; comments from other people pass scrollTo = false so
+// the page doesn't jump
+function addCommentToUI(commentsList, comment, scrollTo = true) {
+    if (document.getElementById(`comment-${comment._id}`)) return;
+    
+    const commentElement = createCommentElement(comment);
     commentElement.style.opacity = '0';
     commentElement.style.transform = 'translateY(10px)';
     
-    const timeString = new Date(comment.createdAt).toLocaleString();
-    const avatarHtml = comment.user && comment.user.profilePicture
-        ? `<img src="${comment.user.profilePicture}" alt="${comment.user.username}">`
-        : (comment.user && comment.user.username ? comment.user.username.charAt(0).toUpperCase() : '?');
-    const userId = comment.user && (comment.user._id || comment.user.id);
-    const username = comment.user && comment.user.username ? comment.user.username : 'User';
-    
-    commentElement.innerHTML = `
-        <a href="/profile/${userId}" class="comment-avatar" title="View profile" style="text-decoration:none;color:inherit;">${avatarHtml}</a>
-        <div class="comment-content">
-            <strong><a href="/profile/${userId}" style="text-decoration:none;color:inherit;"> ${username}</a></strong>
-            <p>${escapeHtml(comment.content)}</p>
-            <small>${timeString}</small>
-        </div>
-    `;
-    
     // Add to comments list
     commentsList.appendChild(commentElement);
     
@@ -233,9 +342,120 @@ function addCommentToUI(commentsList, comment) {
     }, 10);
     
     // Scroll to new comment
-    setTimeout(() => {
-        commentElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-    }, 100);
+    if (scrollTo) {
+        setTimeout(() => {
+            commentElement.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }, 100);
+    }
+}
+
+// Count a reply to a comment whose replies haven't been opened yet
+function bumpReplyCount(parentId) {
+    const moreButton = document.getElementById(`replies-more-${parentId}`);
+    if (!moreButton) return;
+    
+    const replyCount = parseInt(moreButton.dataset.replyCount) + 1;
+    moreButton.dataset.replyCount = replyCount;
+    moreButton.textContent = `View ${replyCount} repl${replyCount === 1 ? 'y' : 'ies'}`;
+    moreButton.style.display = 'block';
+}
+
+// Like/Unlike a comment
+async function toggleCommentLike(commentId) {
+    const likeBtn = document.getElementById(`comment-like-${commentId}`);
+    if (!likeBtn) return;
+    
+    likeBtn.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/comments/${commentId}/like`, {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to like comment');
+        
+        likeBtn.classList.toggle('liked', data.isLiked);
+        updateCommentLikeCount(commentId, data.likeCount);
+    } catch (error) {
+        console.error('Error toggling comment like:', error);
+        showToast(error.message || 'Failed to like comment', 'error');
+    } finally {
+        likeBtn.disabled = false;
+    }
+}
+
+function updateCommentLikeCount(commentId, likeCount) {
+    const likeCountElement = document.getElementById(`comment-like-count-${commentId}`);
+    if (likeCountElement) likeCountElement.textContent = likeCount;
+}
+
+// Edit one of your comments
+async function editComment(commentId) {
+    const commentElement = document.getElementById(`comment-${commentId}`);
+    if (!commentElement) return;
+    
+    const currentText = commentElement.querySelector('.comment-text').textContent;
+    const content = prompt('Edit comment', currentText);
+    if (content === null || !content.trim() || content.trim() === currentText) return;
+    
+    try {
+        const response = await fetch(`/api/comments/${commentId}/edit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ content: content.trim() })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to edit comment');
+        
+        applyCommentEdit(commentId, data.comment.content, data.comment.mentions);
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        showToast(error.message || 'Failed to edit comment', 'error');
+    }
+}
+
+function applyCommentEdit(commentId, content, mentions) {
+    const commentElement = document.getElementById(`comment-${commentId}`);
+    if (!commentElement || commentElement.classList.contains('deleted')) return;
+    
+    commentElement.querySelector('.comment-text').innerHTML = renderEntities(content, mentions);
+    commentElement.querySelector('.comment-edited').textContent = ' · edited';
+}
+
+// Delete a comment you wrote or one on your post
+async function deleteComment(commentId) {
+    if (!confirm('Delete this comment?')) return;
+    
+    try {
+        const response = await fetch(`/api/comments/${commentId}`, {
+            method: 'DELETE'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to delete comment');
+        
+        applyCommentRemoval(data);
+        showToast('Comment deleted');
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showToast(error.message || 'Failed to delete comment', 'error');
+    }
+}
+
+// Take a deleted comment off the page, or leave its placeholder when it
+// still has replies
+function applyCommentRemoval(removal) {
+    const commentCount = document.getElementById(`comment-count-${removal.postId}`);
+    if (commentCount) commentCount.textContent = removal.commentCount;
+    
+    if (removal.placeholder) {
+        const commentElement = document.getElementById(`comment-${removal.commentId}`);
+        if (commentElement) showCommentAsDeleted(commentElement, removal.placeholder);
+    }
+    
+    removal.removedIds.forEach(commentId => {
+        const commentElement = document.getElementById(`comment-${commentId}`);
+        if (commentElement) commentElement.remove();
+    });
 }
 
 // Delete post functionality
@@ -0,0 +1,7 @@
+// Shared Socket.IO client - one connection per page, which notifications.js,
+// feed.js and page scripts all subscribe on; loads after /socket.io/socket.io.js.
+// The client ID names this page across reconnects, so the server can leave
+// events the page caused itself out of what it replays here.
+const appSocket = typeof io === 'function'
+    ? io({ query: { clientId: Date.now().toString(36) + '-' + Math.random().toString(36).slice(2) } })
+    : null;
@@ -0,0 +1,35 @@
+// Service worker - shows Web Push notifications while no tab is open
+// Served from the site root so it controls every page
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data ? event.data.text() : '' };
+    }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Domz', {
+            body: data.body || '',
+            icon: '/img/domz logo without text.png',
+            tag: data.tag,
+            renotify: !!data.tag,
+            data: { url: data.url || '/dashboard' }
+        })
+    );
+});
+
+// Focus an open tab on the target page, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+            const existing = clients.find(client => client.url === url);
+            if (existing) return existing.focus();
+            return self.clients.openWindow(url);
+        })
+    );
+});
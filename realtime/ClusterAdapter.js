@@ -0,0 +1,78 @@
+// realtime/ClusterAdapter.js
+
+const crypto = require('crypto');
+const Adapter = require('socket.io-adapter');
+
+// Build a Socket.IO adapter that keeps rooms in memory like the default one,
+// but mirrors broadcasts and room membership changes to every other instance
+// through the given transport. A transport only needs publish(message) and
+// subscribe(handler); see realtime/transports for implementations.
+function createClusterAdapter(transport) {
+  return class ClusterAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      // Lets an instance recognise and skip its own messages
+      this.uid = crypto.randomBytes(8).toString('hex');
+      this.unsubscribe = transport.subscribe(message => this.onMessage(message));
+    }
+
+    // Deliver to local sockets, then hand the packet to the other instances
+    broadcast(packet, opts, remote) {
+      super.broadcast(packet, opts);
+
+      const flags = opts.flags || {};
+      if (remote || flags.local) return;
+
+      transport.publish({
+        type: 'broadcast',
+        uid: this.uid,
+        nsp: this.nsp.name,
+        packet: packet,
+        opts: {
+          rooms: opts.rooms || [],
+          except: opts.except || [],
+          flags: flags
+        }
+      });
+    }
+
+    // Add or remove every socket in `sourceRoom` to/from `room`, wherever
+    // those sockets are connected
+    setMembership(sourceRoom, room, join) {
+      this.applyMembership(sourceRoom, room, join);
+
+      transport.publish({
+        type: 'membership',
+        uid: this.uid,
+        nsp: this.nsp.name,
+        sourceRoom: sourceRoom,
+        room: room,
+        join: join
+      });
+    }
+
+    applyMembership(sourceRoom, room, join) {
+      const source = this.rooms[sourceRoom];
+      if (!source) return;
+
+      Object.keys(source.sockets).forEach(socketId => {
+        const socket = this.nsp.connected[socketId];
+        if (!socket) return;
+        if (join) socket.join(room);
+        else socket.leave(room);
+      });
+    }
+
+    onMessage(message) {
+      if (message.uid === this.uid || message.nsp !== this.nsp.name) return;
+
+      if (message.type === 'broadcast') {
+        this.broadcast(message.packet, message.opts, true);
+      } else if (message.type === 'membership') {
+        this.applyMembership(message.sourceRoom, message.room, message.join);
+      }
+    }
+  };
+}
+
+module.exports = createClusterAdapter;
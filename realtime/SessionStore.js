@@ -0,0 +1,56 @@
+// realtime/SessionStore.js
+
+const session = require('express-session');
+const Session = require('../models/Session');
+
+const DEFAULT_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days
+
+// express-session store backed by MongoDB, so any instance behind the load
+// balancer can authenticate a request or a socket handshake
+class SessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.ttl = options.ttl || DEFAULT_TTL_MS;
+  }
+
+  expiresFor(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+      return new Date(sess.cookie.expires);
+    }
+    return new Date(Date.now() + this.ttl);
+  }
+
+  get(sid, callback) {
+    Session.findById(sid).lean()
+      .then(doc => {
+        // The TTL monitor only runs once a minute
+        if (!doc || doc.expires <= new Date()) return callback(null, null);
+        callback(null, JSON.parse(doc.session));
+      })
+      .catch(err => callback(err));
+  }
+
+  set(sid, sess, callback = () => {}) {
+    Session.updateOne(
+      { _id: sid },
+      { session: JSON.stringify(sess), expires: this.expiresFor(sess) },
+      { upsert: true }
+    )
+      .then(() => callback(null))
+      .catch(err => callback(err));
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    Session.updateOne({ _id: sid }, { expires: this.expiresFor(sess) })
+      .then(() => callback(null))
+      .catch(err => callback(err));
+  }
+
+  destroy(sid, callback = () => {}) {
+    Session.deleteOne({ _id: sid })
+      .then(() => callback(null))
+      .catch(err => callback(err));
+  }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,214 @@
+// realtime/index.js
+
+const createClusterAdapter = require('./ClusterAdapter');
+const createLocalTransport = require('./transports/local');
+const createMongoTransport = require('./transports/mongo');
+const User = require('../models/User');
+const UserEvent = require('../models/UserEvent');
+const Notification = require('../models/Notification');
+const { pushToUser } = require('./push');
+
+// Notification types that also go out as Web Push, by opt-in category
+const PUSH_CATEGORIES = {
+  'message': 'messages',
+  'friend-request': 'friendRequests'
+};
+
+const transports = {
+  local: createLocalTransport,
+  mongo: createMongoTransport
+};
+
+// Create the transport named by REALTIME_TRANSPORT (defaults to 'local').
+// Use 'mongo' when running more than one instance.
+function createTransport(name = process.env.REALTIME_TRANSPORT || 'local') {
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown realtime transport: ${name}`);
+  }
+  return factory({ collection: process.env.REALTIME_COLLECTION });
+}
+
+// Install the cluster adapter on a Socket.IO server
+function attachAdapter(io, transport) {
+  io.adapter(createClusterAdapter(transport));
+  return transport;
+}
+
+// Add or remove every socket of a user to/from a room, on every instance
+function setRoomMembership(io, userId, room, join) {
+  if (!io) return;
+  io.sockets.adapter.setMembership(userId.toString(), room, join);
+}
+
+// ID a page picks for itself when it connects; it stays the same across
+// reconnects, unlike the socket ID
+function clientIdOf(socket) {
+  const clientId = socket.handshake.query.clientId;
+  return typeof clientId === 'string' && clientId.length > 0 && clientId.length <= 64 ? clientId : null;
+}
+
+// Record an event in each user's replay log, then emit it to their sockets.
+// The sequence number goes out as a second argument so payloads keep their
+// shape. Pass `socket` to skip the socket that caused the event; it is sent
+// 'event-skipped' with its own sequence number instead, so clients can tell
+// a gap in the sequence from an event that hasn't arrived yet.
+async function sendToUsers(io, userIds, event, payload, options = {}) {
+  if (!io) return;
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+  const origin = options.socket
+    ? { user: options.socket.request.session.userId, client: clientIdOf(options.socket) }
+    : null;
+  const events = await UserEvent.record(uniqueIds, event, payload, origin);
+
+  events.forEach(record => {
+    const emitter = options.socket || io;
+    emitter.to(record.user.toString()).emit(event, payload, { seq: record.seq });
+
+    if (origin && record.user.toString() === origin.user.toString()) {
+      options.socket.emit('event-skipped', { seq: record.seq });
+    }
+  });
+}
+
+// Room for the sockets of a user that have the feed open
+function feedRoom(userId) {
+  return 'feed:' + userId;
+}
+
+// Emit a feed update to the open feeds of the given users. These aren't
+// recorded for replay: a feed loaded later already shows the change.
+function sendToFeeds(io, userIds, event, payload) {
+  if (!io || userIds.length === 0) return;
+  const uniqueIds = [...new Set(userIds.map(id => id.toString()))];
+
+  let emitter = io;
+  uniqueIds.forEach(id => {
+    emitter = emitter.to(feedRoom(id));
+  });
+  emitter.emit(event, payload);
+}
+
+// Re-send the events a reconnecting socket missed, in order. Events its own
+// page caused go out as 'event-skipped', as they did live. Ends with
+// 'resume-complete'; when `truncated` is set the client must refetch instead.
+async function replayMissedEvents(socket, userId, lastSeq) {
+  const { events, currentSeq, truncated } = await UserEvent.getMissed(userId, lastSeq);
+  const clientId = clientIdOf(socket);
+
+  if (!truncated) {
+    events.forEach(record => {
+      if (clientId && record.origin === clientId) {
+        socket.emit('event-skipped', { seq: record.seq });
+      } else {
+        socket.emit(record.event, record.payload, { seq: record.seq, replayed: true });
+      }
+    });
+  }
+
+  socket.emit('resume-complete', { seq: currentSeq, truncated });
+}
+
+// The chat a notification comes from, as a User.isMuted target; null for
+// notifications that don't come from a chat
+function chatOf(fields) {
+  if (fields.conversation) return { conversation: fields.conversation };
+  if (fields.type === 'message') return { user: fields.actor };
+  return null;
+}
+
+// Store a notification and push it, with the new unread count, to the
+// recipient. Nothing is stored, sent or pushed from a chat they muted.
+async function notify(io, fields) {
+  const chat = chatOf(fields);
+  if (chat && await User.isMuted(fields.recipient, chat)) return null;
+
+  const notification = await Notification.record(fields);
+  if (!notification) return null;
+
+  const unreadCount = await Notification.getUnreadCount(notification.recipient);
+  await sendToUsers(io, [notification.recipient], 'notification', { notification, unreadCount });
+
+  const category = PUSH_CATEGORIES[notification.type];
+  if (category) {
+    pushToUser(notification.recipient, category, describeForPush(notification))
+      .catch(err => console.error('Error pushing notification:', err));
+  }
+  return notification;
+}
+
+// Notify users of a mention in a post, comment or message. Callers pass
+// only the users who can see where they were mentioned, and the
+// `conversation` for group messages so members who muted it are skipped.
+async function notifyMentions(io, userIds, fields) {
+  for (const userId of userIds) {
+    await notify(io, { ...fields, recipient: userId, type: 'mention' });
+  }
+}
+
+// Leave a 'message' notification for group members with no open
+// connection, as direct messages do. The sender and the `mentioned` members,
+// who already got a mention, are skipped; notify() drops members who muted
+// the conversation.
+async function notifyGroupMessage(io, conversation, message, mentioned = []) {
+  const senderId = (message.sender._id || message.sender).toString();
+  const skipped = new Set(mentioned.map(id => id.toString()));
+
+  for (const memberId of conversation.getMemberIds()) {
+    if (memberId === senderId || skipped.has(memberId)) continue;
+    if (await User.isConnected(memberId)) continue;
+
+    await notify(io, {
+      recipient: memberId,
+      actor: senderId,
+      type: 'message',
+      message: message._id,
+      conversation: conversation._id,
+      preview: message.content.slice(0, 140)
+    });
+  }
+}
+
+// Title, body and link shown by the service worker
+function describeForPush(notification) {
+  const actorName = notification.actor ? notification.actor.username : 'Someone';
+  const actorId = notification.actor ? notification.actor._id : notification.actor;
+
+  if (notification.type === 'friend-request') {
+    return {
+      title: 'New friend request',
+      body: `${actorName} sent you a friend request`,
+      url: '/friends',
+      tag: `friend-request-${actorId}`
+    };
+  }
+
+  return {
+    title: actorName,
+    body: notification.count > 1
+      ? `${notification.count} new messages`
+      : (notification.preview || 'Sent you a message'),
+    url: '/messages',
+    tag: `message-${actorId}`
+  };
+}
+
+// Tell a user's devices their notification badge changed
+async function syncNotificationCount(io, userId) {
+  const unreadCount = await Notification.getUnreadCount(userId);
+  await sendToUsers(io, [userId], 'notifications-updated', { unreadCount });
+}
+
+module.exports = {
+  createTransport,
+  attachAdapter,
+  setRoomMembership,
+  sendToUsers,
+  feedRoom,
+  sendToFeeds,
+  replayMissedEvents,
+  notify,
+  notifyMentions,
+  notifyGroupMessage,
+  syncNotificationCount
+};
@@ -0,0 +1,175 @@
+// realtime/push.js
+// Web Push sender: VAPID authentication (RFC 8292) and aes128gcm payload
+// encryption (RFC 8291) on top of Node's crypto, so no push vendor SDK is needed.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const PushSubscription = require('../models/PushSubscription');
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 60 * 60; // how long the push service may hold a message
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+
+function base64UrlEncode(buffer) {
+  return Buffer.from(buffer).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Create a VAPID key pair (base64url raw keys, as browsers expect them)
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: base64UrlEncode(ecdh.getPublicKey()),
+    privateKey: base64UrlEncode(ecdh.getPrivateKey())
+  };
+}
+
+// VAPID settings from the environment; push is disabled without them
+function getVapidConfig() {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) return null;
+
+  return {
+    publicKey: VAPID_PUBLIC_KEY,
+    privateKey: VAPID_PRIVATE_KEY,
+    subject: VAPID_SUBJECT || 'mailto:admin@localhost'
+  };
+}
+
+// Sign a VAPID JWT for the push service that owns `endpoint`
+function createVapidAuthorization(endpoint, vapid) {
+  const publicKey = base64UrlDecode(vapid.publicKey);
+  const signingKey = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      d: vapid.privateKey,
+      x: base64UrlEncode(publicKey.subarray(1, 33)),
+      y: base64UrlEncode(publicKey.subarray(33, 65))
+    }
+  });
+
+  const header = base64UrlEncode(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = base64UrlEncode(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+    sub: vapid.subject
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: signingKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`;
+}
+
+// Encrypt a payload for one subscription using the aes128gcm content coding
+function encryptPayload(payload, keys) {
+  const userPublicKey = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverPublicKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(userPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // Single record: the payload followed by the last-record delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverPublicKey.length, 20);
+
+  return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+// Only push services over HTTPS, plus plain HTTP on this machine for a mock endpoint
+function isAllowedEndpoint(endpoint) {
+  try {
+    const url = new URL(endpoint);
+    if (url.protocol === 'https:') return true;
+    return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Deliver one push message. Resolves to the HTTP status; 404/410 mean the
+// subscription is gone for good.
+async function sendNotification(subscription, payload, options = {}) {
+  const vapid = options.vapid || getVapidConfig();
+  if (!vapid) throw new Error('VAPID keys are not configured');
+
+  const body = encryptPayload(JSON.stringify(payload), subscription.keys);
+  const response = await fetch(subscription.endpoint, {
+    method: 'POST',
+    headers: {
+      'Authorization': createVapidAuthorization(subscription.endpoint, vapid),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(options.ttl || DEFAULT_TTL_SECONDS),
+      'Urgency': options.urgency || 'normal'
+    },
+    body: body
+  });
+
+  return response.status;
+}
+
+// Push to every device of a user that opted into `category`, but only while
+// the user has no open connection (otherwise the live UI already shows it).
+// Pass `options.chat` ({ user } or { conversation }) to stay quiet while the
+// user has that chat muted.
+async function pushToUser(userId, category, payload, options = {}) {
+  if (!getVapidConfig()) return;
+
+  const isConnected = await User.isConnected(userId);
+  if (isConnected) return;
+
+  if (options.chat && await User.isMuted(userId, options.chat)) return;
+
+  const subscriptions = await PushSubscription.findForCategory(userId, category);
+  for (const subscription of subscriptions) {
+    try {
+      const status = await sendNotification(subscription, payload, options);
+      if (status === 404 || status === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else if (status >= 200 && status < 300) {
+        await PushSubscription.updateOne({ _id: subscription._id }, { lastUsedAt: new Date() });
+      } else {
+        console.error(`Push service rejected message with status ${status}`);
+      }
+    } catch (err) {
+      console.error('Error sending push notification:', err);
+    }
+  }
+}
+
+module.exports = {
+  base64UrlEncode,
+  base64UrlDecode,
+  generateVapidKeys,
+  getVapidConfig,
+  createVapidAuthorization,
+  encryptPayload,
+  isAllowedEndpoint,
+  sendNotification,
+  pushToUser
+};
@@ -0,0 +1,15 @@
+// realtime/transports/local.js
+
+// Single-process transport: nothing to fan out to, so publishing is a no-op.
+// This is the default and behaves exactly like the stock in-memory adapter.
+function createLocalTransport() {
+  return {
+    name: 'local',
+    start: async () => {},
+    stop: async () => {},
+    publish: () => {},
+    subscribe: () => () => {}
+  };
+}
+
+module.exports = createLocalTransport;
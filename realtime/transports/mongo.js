@@ -0,0 +1,122 @@
+// realtime/transports/mongo.js
+
+const mongoose = require('mongoose');
+
+const DEFAULT_COLLECTION = 'realtime_events';
+const DEFAULT_SIZE = 16 * 1024 * 1024; // capped collection size in bytes
+const RETRY_MS = 1000;
+// How far back to look when (re)opening the cursor, to tolerate small clock
+// differences between hosts. Duplicates in this window are skipped by id.
+const CLOCK_SKEW_MS = 5000;
+
+// Transport that fans messages out through a capped MongoDB collection.
+// Every instance appends to the collection and follows it with a tailable
+// cursor, so it works on a standalone server (no replica set needed for
+// change streams) and needs no service besides the database we already use.
+function createMongoTransport(options = {}) {
+  const collectionName = options.collection || DEFAULT_COLLECTION;
+  const size = options.size || DEFAULT_SIZE;
+
+  const handlers = [];
+  const seen = new Map(); // event id -> createdAt, for dedupe inside the skew window
+  let since = null;
+  let cursor = null;
+  let stopped = false;
+  let markReady;
+  const ready = new Promise(resolve => { markReady = resolve; });
+
+  async function ensureCollection(db) {
+    try {
+      await db.createCollection(collectionName, { capped: true, size: size });
+    } catch (err) {
+      if (err.codeName !== 'NamespaceExists') throw err;
+    }
+  }
+
+  function dispatch(doc) {
+    const id = doc._id.toString();
+    if (seen.has(id)) return;
+    seen.set(id, doc.createdAt);
+
+    // Forget ids that fell out of the window we re-read on reconnect
+    const cutoff = doc.createdAt.getTime() - CLOCK_SKEW_MS * 2;
+    for (const [seenId, createdAt] of seen) {
+      if (createdAt.getTime() >= cutoff) break;
+      seen.delete(seenId);
+    }
+
+    if (doc.createdAt > since) since = doc.createdAt;
+    if (!doc.payload) return;
+
+    let message;
+    try {
+      message = JSON.parse(doc.payload);
+    } catch (err) {
+      console.error('Error parsing realtime event:', err);
+      return;
+    }
+    handlers.forEach(handler => handler(message));
+  }
+
+  async function follow() {
+    const collection = mongoose.connection.db.collection(collectionName);
+
+    while (!stopped) {
+      try {
+        cursor = collection.find(
+          { createdAt: { $gte: new Date(since.getTime() - CLOCK_SKEW_MS) } },
+          { tailable: true, awaitData: true }
+        );
+        for await (const doc of cursor) {
+          dispatch(doc);
+        }
+      } catch (err) {
+        if (!stopped) console.error('Error following realtime events:', err);
+      }
+
+      if (!stopped) await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+    }
+  }
+
+  return {
+    name: 'mongo',
+
+    // Call once the mongoose connection is open
+    async start() {
+      const db = mongoose.connection.db;
+      await ensureCollection(db);
+
+      // A tailable cursor dies at once if nothing matches, so leave a marker
+      // for the first query to land on
+      since = new Date();
+      await db.collection(collectionName).insertOne({ createdAt: since });
+
+      markReady();
+      follow();
+    },
+
+    async stop() {
+      stopped = true;
+      if (cursor) await cursor.close();
+    },
+
+    publish(message) {
+      ready
+        .then(() => mongoose.connection.db.collection(collectionName).insertOne({
+          createdAt: new Date(),
+          payload: JSON.stringify(message)
+        }))
+        .catch(err => console.error('Error publishing realtime event:', err));
+    },
+
+    subscribe(handler) {
+      handlers.push(handler);
+      return () => {
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+      };
+    }
+  };
+}
+
+module.exports = createMongoTransport;
@@ -49,10 +49,17 @@ router.post('/login', async (req, res) => {
       return res.status(400).send('User not found');
     }
 
-    if (user.password !== password) {
+    const isValid = await user.verifyPassword(password);
+    if (!isValid) {
       return res.status(400).send('Incorrect password');
     }
 
+    // Upgrade legacy plaintext or outdated hashes on successful login
+    if (user.needsRehash()) {
+      user.password = password;
+      await user.save();
+    }
+
     // Save user session
     req.session.userId = user._id;
     req.session.username = user.username;
@@ -20,54 +20,30 @@ router.get('/', (req, res) => {
 
 router.get('/dashboard', isLoggedIn, async (req, res) => {
   try {
+    // The chosen feed order sticks for the rest of the session
+    if (Post.FEED_MODES.includes(req.query.mode)) {
+      req.session.feedMode = req.query.mode;
+    }
+    const feedMode = req.session.feedMode || 'latest';
+
     // Get posts for feed
-    const posts = await Post.getFeedPosts(req.session.userId, 1, 10);
+    const posts = await Post.getFeedPosts(req.session.userId, 1, 10, feedMode);
 
     // Load current user for sidebar avatar
     const currentUser = await User.findById(req.session.userId).select('username profilePicture');
     
     // Calculate time remaining and other data for each post
     const postsWithMetadata = posts.map(post => {
-      const now = new Date();
-      const expiration = new Date(post.expiresAt);
-      const remainingMs = expiration - now;
-      
-      let timeRemaining = 'Expired';
-      if (remainingMs > 0) {
-        const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-        const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-        
-        if (remainingHours > 0) {
-          timeRemaining = `${remainingHours}h ${remainingMinutes}m left`;
-        } else {
-          timeRemaining = `${remainingMinutes}m left`;
-        }
-      }
-      
-      // Format creation time
-      const createdAt = new Date(post.createdAt);
-      const timeDiff = now - createdAt;
-      let timeAgo = '';
+      const timeRemaining = Post.formatTimeRemaining(post.expiresAt);
       
-      if (timeDiff < 60000) { // Less than 1 minute
-        timeAgo = 'Just now';
-      } else if (timeDiff < 3600000) { // Less than 1 hour
-        const minutes = Math.floor(timeDiff / 60000);
-        timeAgo = `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-      } else if (timeDiff < 86400000) { // Less than 1 day
-        const hours = Math.floor(timeDiff / 3600000);
-        timeAgo = `${hours} hour${hours > 1 ? 's' : ''} ago`;
-      } else {
-        const days = Math.floor(timeDiff / 86400000);
-        timeAgo = `${days} day${days > 1 ? 's' : ''} ago`;
-      }
+      const timeAgo = Post.formatTimeAgo(post.createdAt);
       
       return {
         ...post,
         timeRemaining,
         timeAgo,
         likeCount: post.likes ? post.likes.length : 0,
-        commentCount: post.comments ? post.comments.length : 0,
+        commentCount: post.commentCount,
         isLikedByUser: post.likes ? post.likes.some(like => like.user && like.user._id && like.user._id.toString() === req.session.userId.toString()) : false
       };
     });
@@ -75,6 +51,7 @@ router.get('/dashboard', isLoggedIn, async (req, res) => {
     res.render('index', { 
       username: req.session.username || 'Guest',
       posts: postsWithMetadata,
+      feedMode,
       currentUserId: req.session.userId,
       currentUser: currentUser
     });
@@ -83,6 +60,7 @@ router.get('/dashboard', isLoggedIn, async (req, res) => {
     res.render('index', { 
       username: req.session.username || 'Guest',
       posts: [],
+      feedMode: req.session.feedMode || 'latest',
       currentUserId: req.session.userId,
       currentUser: null
     });
@@ -0,0 +1,406 @@
+// routes/comments.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Friendship = require('../models/Friendship');
+const { notify, notifyMentions, sendToFeeds } = require('../realtime');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Load a post the current user may see
+async function loadPost(req, res, postId) {
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  const post = await Post.findById(postId);
+  if (!post || await Friendship.isBlocked(req.session.userId, post.author)) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+
+  if (!(await post.isVisibleTo(req.session.userId))) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return post;
+}
+
+// Load a comment, and its post, that the current user may see. Comments by
+// someone on either side of a block with the user are hidden, unless
+// `allowPostAuthor` is set and the user wrote the post: authors can still
+// remove them from their posts.
+async function loadComment(req, res, { allowPostAuthor = false } = {}) {
+  const { commentId } = req.params;
+  const userId = req.session.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(commentId)) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  const post = await loadPost(req, res, comment.post);
+  if (!post) return null;
+
+  const isPostAuthor = post.author.toString() === userId.toString();
+  if (!(allowPostAuthor && isPostAuthor) && await Friendship.isBlocked(userId, comment.user)) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
+  }
+
+  return { comment, post };
+}
+
+// Validate comment content; returns an error message or null
+function checkContent(content) {
+  if (!content || content.trim().length === 0) {
+    return 'Comment content is required';
+  }
+  if (content.trim().length > Comment.MAX_COMMENT_LENGTH) {
+    return `Comment too long (max ${Comment.MAX_COMMENT_LENGTH} characters)`;
+  }
+  return null;
+}
+
+// Resolve the ?before= comment ID cursor within a thread. Returns null
+// without a cursor and undefined when it isn't a comment in the thread.
+async function resolveCursor(req, postId, parentId = null) {
+  if (!req.query.before) return null;
+  if (!mongoose.Types.ObjectId.isValid(req.query.before)) return undefined;
+
+  const cursor = await Comment.findOne({ _id: req.query.before, post: postId, parent: parentId }).select('createdAt');
+  return cursor || undefined;
+}
+
+// Users with the post open on their feed who should see a comment change,
+// leaving out the commenter and anyone on either side of a block with them
+async function commentViewers(post, commenterId) {
+  const blockedIds = new Set((await Friendship.getBlockedIds(commenterId)).map(id => id.toString()));
+  return (await post.getFeedAudience()).filter(id => id !== commenterId.toString() && !blockedIds.has(id));
+}
+
+// Send a new comment to open feeds. The post author may delete it, so they
+// get their own copy; nobody else may act on it yet.
+function announceComment(io, viewers, post, comment, commentCount) {
+  const authorId = post.author.toString();
+  const others = viewers.filter(id => id !== authorId);
+  const send = (userIds, viewerId) => sendToFeeds(io, userIds, 'feed-comment', {
+    postId: post._id,
+    parentId: comment.parent || null,
+    comment: comment.toViewerJSON(viewerId, post.author),
+    commentCount: commentCount
+  });
+
+  if (viewers.includes(authorId)) send([authorId], authorId);
+  if (others.length > 0) send(others, others[0]);
+}
+
+// Get a page of comments on a post, newest first; ?before=<commentId> pages back
+router.get('/api/posts/:postId/comments', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const post = await loadPost(req, res, req.params.postId);
+    if (!post) return;
+
+    const before = await resolveCursor(req, post._id);
+    if (before === undefined) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const { comments, hasMore } = await Comment.getPage(post._id, {
+      before,
+      limit,
+      hiddenUserIds: await Friendship.getBlockedIds(userId)
+    });
+
+    res.json({
+      comments: comments.map(comment => comment.toViewerJSON(userId, post.author)),
+      hasMore
+    });
+  } catch (err) {
+    console.error('Error fetching comments:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get a page of replies to a comment, newest first; ?before=<commentId> pages back
+router.get('/api/comments/:commentId/replies', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { comment, post } = loaded;
+
+    const before = await resolveCursor(req, post._id, comment._id);
+    if (before === undefined) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const { comments, hasMore } = await Comment.getPage(post._id, {
+      parentId: comment._id,
+      before,
+      limit,
+      hiddenUserIds: await Friendship.getBlockedIds(userId)
+    });
+
+    res.json({
+      comments: comments.map(reply => reply.toViewerJSON(userId, post.author)),
+      hasMore
+    });
+  } catch (err) {
+    console.error('Error fetching comment replies:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Comment on a post, or reply to one of its comments with { parentId }
+router.post('/api/posts/:postId/comment', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { content, parentId } = req.body;
+
+    const contentError = checkContent(content);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    const post = await loadPost(req, res, req.params.postId);
+    if (!post) return;
+
+    if (post.isArchived) {
+      return res.status(400).json({ error: 'This post has been archived' });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = mongoose.Types.ObjectId.isValid(parentId)
+        ? await Comment.findOne({ _id: parentId, post: post._id, isDeleted: false })
+        : null;
+      if (!parent || await Friendship.isBlocked(userId, parent.user)) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+    }
+
+    const comment = new Comment({
+      post: post._id,
+      user: userId,
+      parent: parent ? parent._id : undefined,
+      content: content.trim()
+    });
+    await comment.save();
+
+    const { commentCount } = await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } }, { new: true });
+    if (parent) {
+      await Comment.updateOne({ _id: parent._id }, { $inc: { replyCount: 1 } });
+    }
+
+    await comment.populate(Comment.USER_POPULATE);
+
+    const io = req.app.get('io');
+    announceComment(io, await commentViewers(post, userId), post, comment, commentCount);
+
+    // Whoever was replied to hears about it; the post author hears about
+    // everything else
+    const preview = comment.content.slice(0, 140);
+    if (parent) {
+      await notify(io, {
+        recipient: parent.user,
+        actor: userId,
+        type: 'comment-reply',
+        post: post._id,
+        comment: comment._id,
+        preview
+      });
+    }
+    if (!parent || parent.user.toString() !== post.author.toString()) {
+      await notify(io, {
+        recipient: post.author,
+        actor: userId,
+        type: 'post-comment',
+        post: post._id,
+        comment: comment._id,
+        preview
+      });
+    }
+
+    const notifiedIds = [post.author.toString(), parent ? parent.user.toString() : null];
+    const mentionedIds = comment.$locals.newMentions.filter(id => !notifiedIds.includes(id));
+    await notifyMentions(io, await post.filterReaders(mentionedIds, userId), {
+      actor: userId,
+      post: post._id,
+      comment: comment._id,
+      preview
+    });
+
+    res.status(201).json({
+      message: 'Comment added successfully',
+      comment: comment.toViewerJSON(userId, post.author),
+      commentCount
+    });
+  } catch (err) {
+    console.error('Error adding comment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit one of the current user's comments
+router.post('/api/comments/:commentId/edit', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+    const { content } = req.body;
+
+    const contentError = checkContent(content);
+    if (contentError) {
+      return res.status(400).json({ error: contentError });
+    }
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { comment, post } = loaded;
+
+    if (comment.user.toString() !== userId.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (post.isArchived) {
+      return res.status(400).json({ error: 'This post has been archived' });
+    }
+
+    comment.applyEdit(content.trim());
+    await comment.save();
+    await comment.populate(Comment.USER_POPULATE);
+
+    const io = req.app.get('io');
+    sendToFeeds(io, await commentViewers(post, userId), 'feed-comment-edited', {
+      postId: post._id,
+      commentId: comment._id,
+      content: comment.content,
+      mentions: comment.mentions,
+      editedAt: comment.editedAt
+    });
+
+    // Only people mentioned for the first time are told
+    await notifyMentions(io, await post.filterReaders(comment.$locals.newMentions, userId), {
+      actor: userId,
+      post: post._id,
+      comment: comment._id,
+      preview: comment.content.slice(0, 140)
+    });
+
+    res.json({
+      message: 'Comment updated',
+      comment: comment.toViewerJSON(userId, post.author)
+    });
+  } catch (err) {
+    console.error('Error editing comment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a comment: commenters can delete their own, post authors any on
+// their posts. Comments with replies leave a placeholder behind.
+router.delete('/api/comments/:commentId', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+
+    const loaded = await loadComment(req, res, { allowPostAuthor: true });
+    if (!loaded) return;
+    const { comment, post } = loaded;
+
+    const isCommenter = comment.user.toString() === userId.toString();
+    const isPostAuthor = post.author.toString() === userId.toString();
+    if (!isCommenter && !isPostAuthor) {
+      return res.status(403).json({ error: 'You can only delete your own comments or comments on your posts' });
+    }
+
+    if (comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const removedIds = await comment.deleteFromThread();
+    const { commentCount } = await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: -1 } }, { new: true });
+
+    const removal = {
+      postId: post._id,
+      commentId: comment._id,
+      parentId: comment.parent || null,
+      removedIds,
+      placeholder: comment.isDeleted ? comment.content : null,
+      commentCount
+    };
+    sendToFeeds(req.app.get('io'), await post.getFeedAudience(), 'feed-comment-removed', removal);
+
+    res.json({ message: 'Comment deleted', ...removal });
+  } catch (err) {
+    console.error('Error deleting comment:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Like/Unlike a comment
+router.post('/api/comments/:commentId/like', isLoggedIn, async (req, res) => {
+  try {
+    const userId = req.session.userId;
+
+    const loaded = await loadComment(req, res);
+    if (!loaded) return;
+    const { comment, post } = loaded;
+
+    if (comment.isDeleted) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (post.isArchived) {
+      return res.status(400).json({ error: 'This post has been archived' });
+    }
+
+    const isLiked = comment.toggleLike(userId);
+    await comment.save();
+
+    // Patch the count wherever the comment is showing
+    sendToFeeds(req.app.get('io'), await post.getFeedAudience(), 'feed-comment-like-count', {
+      postId: post._id,
+      commentId: comment._id,
+      likeCount: comment.likes.length
+    });
+
+    res.json({
+      message: isLiked ? 'Comment liked' : 'Comment unliked',
+      isLiked: isLiked,
+      likeCount: comment.likes.length
+    });
+  } catch (err) {
+    console.error('Error toggling comment like:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,397 @@
+// routes/conversations.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Friendship = require('../models/Friendship');
+const { setRoomMembership, sendToUsers } = require('../realtime');
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Load a conversation and make sure the current user belongs to it
+async function loadConversation(req, res) {
+  const { conversationId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.isMember(req.session.userId)) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  return conversation;
+}
+
+// Create a group conversation
+router.post('/api/conversations', isLoggedIn, async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Conversation name is required' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Conversation name too long (max 100 characters)' });
+    }
+
+    if (!Array.isArray(memberIds) || memberIds.length === 0) {
+      return res.status(400).json({ error: 'Add at least one friend to the conversation' });
+    }
+
+    if (!memberIds.every(id => mongoose.isObjectIdOrHexString(id))) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+
+    const uniqueIds = [...new Set(memberIds.map(id => id.toString()))]
+      .filter(id => id !== currentUserId.toString());
+
+    if (uniqueIds.length === 0) {
+      return res.status(400).json({ error: 'Add at least one friend to the conversation' });
+    }
+
+    // Only friends can be added to a conversation
+    for (const memberId of uniqueIds) {
+      const areFriends = await Friendship.areFriends(currentUserId, memberId);
+      if (!areFriends) {
+        return res.status(403).json({ error: 'You can only add friends to a conversation' });
+      }
+    }
+
+    const conversation = new Conversation({
+      name: name.trim(),
+      createdBy: currentUserId,
+      members: [
+        { user: currentUserId, role: 'admin' },
+        ...uniqueIds.map(id => ({ user: id, role: 'member' }))
+      ]
+    });
+
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    // Subscribe every member's open sockets to the new room
+    const io = req.app.get('io');
+    const room = Conversation.roomName(conversation._id);
+    conversation.getMemberIds().forEach(memberId => setRoomMembership(io, memberId, room, true));
+    await sendToUsers(io, uniqueIds, 'conversation-added', conversation);
+
+    res.status(201).json({
+      message: 'Conversation created successfully',
+      conversation: conversation
+    });
+  } catch (err) {
+    console.error('Error creating conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get conversations for current user
+router.get('/api/conversations', isLoggedIn, async (req, res) => {
+  try {
+    const conversations = await Conversation.getUserConversations(req.session.userId);
+    res.json(conversations);
+  } catch (err) {
+    console.error('Error fetching conversations:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get single conversation details
+router.get('/api/conversations/:conversationId', isLoggedIn, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+    res.json(conversation);
+  } catch (err) {
+    console.error('Error fetching conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Invite a friend to a conversation (admins only)
+router.post('/api/conversations/:conversationId/invite', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(currentUserId)) {
+      return res.status(403).json({ error: 'Only admins can invite members' });
+    }
+
+    if (conversation.isMember(userId)) {
+      return res.status(400).json({ error: 'User is already a member' });
+    }
+
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const areFriends = await Friendship.areFriends(currentUserId, userId);
+    if (!areFriends) {
+      return res.status(403).json({ error: 'You can only add friends to a conversation' });
+    }
+
+    conversation.members.push({ user: userId, role: 'member' });
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    const io = req.app.get('io');
+    const room = Conversation.roomName(conversation._id);
+    setRoomMembership(io, userId, room, true);
+    await sendToUsers(io, [userId], 'conversation-added', conversation);
+    await sendToUsers(
+      io,
+      conversation.getMemberIds().filter(memberId => memberId !== userId.toString()),
+      'conversation-updated',
+      conversation
+    );
+
+    res.json({
+      message: 'Member added successfully',
+      conversation: conversation
+    });
+  } catch (err) {
+    console.error('Error inviting to conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Leave a conversation
+router.post('/api/conversations/:conversationId/leave', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    conversation.removeMember(currentUserId);
+
+    const io = req.app.get('io');
+    const room = Conversation.roomName(conversation._id);
+    setRoomMembership(io, currentUserId, room, false);
+
+    // Remove the conversation entirely once the last member leaves
+    if (conversation.members.length === 0) {
+      await Conversation.findByIdAndDelete(conversation._id);
+      return res.json({ message: 'Left conversation' });
+    }
+
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    await sendToUsers(io, conversation.getMemberIds(), 'conversation-updated', conversation);
+
+    res.json({ message: 'Left conversation' });
+  } catch (err) {
+    console.error('Error leaving conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a member from a conversation (admins only)
+router.post('/api/conversations/:conversationId/kick', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(currentUserId)) {
+      return res.status(403).json({ error: 'Only admins can remove members' });
+    }
+
+    if (userId.toString() === currentUserId.toString()) {
+      return res.status(400).json({ error: 'Use leave to remove yourself' });
+    }
+
+    if (!conversation.isMember(userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (conversation.isAdmin(userId)) {
+      return res.status(403).json({ error: 'Admins cannot be removed' });
+    }
+
+    conversation.removeMember(userId);
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    const io = req.app.get('io');
+    const room = Conversation.roomName(conversation._id);
+    setRoomMembership(io, userId, room, false);
+    await sendToUsers(io, [userId], 'conversation-removed', { conversationId: conversation._id });
+    await sendToUsers(io, conversation.getMemberIds(), 'conversation-updated', conversation);
+
+    res.json({
+      message: 'Member removed successfully',
+      conversation: conversation
+    });
+  } catch (err) {
+    console.error('Error removing conversation member:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change a member's role (admins only)
+router.post('/api/conversations/:conversationId/role', isLoggedIn, async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!userId || !['admin', 'member'].includes(role)) {
+      return res.status(400).json({ error: 'User ID and valid role required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(currentUserId)) {
+      return res.status(403).json({ error: 'Only admins can change roles' });
+    }
+
+    const member = conversation.getMember(userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Keep at least one admin in every conversation
+    const adminCount = conversation.members.filter(m => m.role === 'admin').length;
+    if (member.role === 'admin' && role === 'member' && adminCount === 1) {
+      return res.status(400).json({ error: 'A conversation needs at least one admin' });
+    }
+
+    member.role = role;
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    const io = req.app.get('io');
+    await sendToUsers(io, conversation.getMemberIds(), 'conversation-updated', conversation);
+
+    res.json({
+      message: 'Role updated successfully',
+      conversation: conversation
+    });
+  } catch (err) {
+    console.error('Error updating member role:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename a conversation (admins only)
+router.post('/api/conversations/:conversationId/rename', isLoggedIn, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Conversation name is required' });
+    }
+
+    if (name.trim().length > 100) {
+      return res.status(400).json({ error: 'Conversation name too long (max 100 characters)' });
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    if (!conversation.isAdmin(currentUserId)) {
+      return res.status(403).json({ error: 'Only admins can rename the conversation' });
+    }
+
+    conversation.name = name.trim();
+    await conversation.save();
+    await conversation.populate('members.user', 'username profilePicture isOnline lastSeen');
+
+    const io = req.app.get('io');
+    await sendToUsers(io, conversation.getMemberIds(), 'conversation-updated', conversation);
+
+    res.json({
+      message: 'Conversation renamed successfully',
+      conversation: conversation
+    });
+  } catch (err) {
+    console.error('Error renaming conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mute notifications from a conversation, optionally for a number of minutes
+router.post('/api/conversations/:conversationId/mute', isLoggedIn, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+
+    const until = User.muteExpiry(req.body.minutes);
+    if (until === undefined) {
+      return res.status(400).json({ error: 'Invalid mute duration' });
+    }
+
+    await User.setMute(req.session.userId, { conversation: conversation._id }, until);
+
+    res.json({ message: 'Conversation muted', until: until });
+  } catch (err) {
+    console.error('Error muting conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unmute a conversation; works after leaving it too, so no membership check
+router.delete('/api/conversations/:conversationId/mute', isLoggedIn, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await User.clearMute(req.session.userId, { conversation: conversationId });
+
+    res.json({ message: 'Conversation unmuted' });
+  } catch (err) {
+    console.error('Error unmuting conversation:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
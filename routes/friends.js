@@ -1,8 +1,12 @@
 // routes/friends.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Friendship = require('../models/Friendship');
+const Notification = require('../models/Notification');
+const FriendList = require('../models/FriendList');
+const { notify, syncNotificationCount } = require('../realtime');
 
 // Middleware to check if user is logged in
 function isLoggedIn(req, res, next) {
@@ -22,18 +26,8 @@ router.get('/friends', isLoggedIn, async (req, res) => {
     const currentUser = await User.findById(currentUserId).select('username email');
     
     // Get all users except current user and existing friends/requests
-    const existingRelationships = await Friendship.find({
-      $or: [
-        { requester: currentUserId },
-        { recipient: currentUserId }
-      ]
-    }).select('requester recipient');
-    
-    const excludedIds = [currentUserId];
-    existingRelationships.forEach(rel => {
-      excludedIds.push(rel.requester.toString());
-      excludedIds.push(rel.recipient.toString());
-    });
+    const relatedIds = await Friendship.getRelatedUserIds(currentUserId);
+    const excludedIds = [currentUserId, ...relatedIds];
     
     const suggestedUsers = await User.find({ 
       _id: { $nin: excludedIds }
@@ -48,13 +42,25 @@ router.get('/friends', isLoggedIn, async (req, res) => {
     // Get sent requests
     const sentRequests = await Friendship.getSentRequests(currentUserId);
     
+    // Get users the current user has blocked
+    const blockedUsers = await Friendship.getBlockedUsers(currentUserId);
+    
+    // People you may know, ranked by mutual friends
+    const peopleYouMayKnow = await Friendship.getSuggestions(currentUserId, 6);
+    
+    // Friend lists used as post audiences
+    const friendLists = await FriendList.getForOwner(currentUserId);
+    
     res.render('friends', {
       currentUser: currentUser || { username: req.session.username || 'Guest' },
       currentUserId: currentUserId,
       suggestedUsers,
       friendRequests,
       friends,
-      sentRequests
+      sentRequests,
+      blockedUsers,
+      peopleYouMayKnow,
+      friendLists
     });
   } catch (err) {
     console.error('Error loading friends page:', err);
@@ -82,33 +88,65 @@ router.post('/api/friends/request', isLoggedIn, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Check if friendship already exists
-    const existingFriendship = await Friendship.findOne({
-      $or: [
-        { requester: requesterId, recipient: recipientId },
-        { requester: recipientId, recipient: requesterId }
-      ]
-    });
+    // Expired requests and finished cooldowns don't count
+    let friendship = await Friendship.findPair(requesterId, recipientId);
     
-    if (existingFriendship) {
-      if (existingFriendship.status === 'accepted') {
+    if (friendship) {
+      const isRequester = friendship.requester.toString() === requesterId;
+      
+      // Don't reveal which side placed the block
+      if (friendship.status === 'blocked') {
+        return res.status(403).json({ error: 'You cannot send a friend request to this user' });
+      }
+      if (friendship.status === 'accepted') {
         return res.status(400).json({ error: 'You are already friends' });
-      } else if (existingFriendship.status === 'pending') {
-        return res.status(400).json({ error: 'Friend request already sent' });
       }
+      if (friendship.status === 'pending') {
+        return res.status(400).json({
+          error: isRequester ? 'Friend request already sent' : 'This user has already sent you a friend request'
+        });
+      }
+      // Only the declined side waits out the cooldown; the user who
+      // declined can still change their mind
+      if (friendship.status === 'declined' && isRequester) {
+        return res.status(429).json({
+          error: 'Your last request was declined. Try again later.',
+          retryAt: friendship.expiresAt
+        });
+      }
+    } else {
+      // Reuse the pair's lapsed document if the TTL monitor hasn't removed it yet
+      friendship = await Friendship.findOne({ pairKey: Friendship.pairKey(requesterId, recipientId) })
+        || new Friendship();
     }
     
-    // Create new friend request
-    const friendship = new Friendship({
-      requester: requesterId,
-      recipient: recipientId,
-      status: 'pending'
-    });
+    // Forget the notification left by an earlier request between the pair
+    if (!friendship.isNew) {
+      await Notification.deleteMany({ friendship: friendship._id });
+    }
+    
+    friendship.openRequest(requesterId, recipientId);
+    
+    try {
+      await friendship.save();
+    } catch (err) {
+      // The other side sent a request at the same moment
+      if (err.code === 11000) {
+        return res.status(400).json({ error: 'Friend request already sent' });
+      }
+      throw err;
+    }
     
-    await friendship.save();
     await friendship.populate('requester', 'username');
     await friendship.populate('recipient', 'username');
     
+    await notify(req.app.get('io'), {
+      recipient: recipientId,
+      actor: requesterId,
+      type: 'friend-request',
+      friendship: friendship._id
+    });
+    
     res.json({ 
       message: 'Friend request sent successfully',
       friendship: friendship
@@ -132,19 +170,33 @@ router.post('/api/friends/accept', isLoggedIn, async (req, res) => {
     const friendship = await Friendship.findOne({
       _id: friendshipId,
       recipient: currentUserId,
-      status: 'pending'
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
     });
     
     if (!friendship) {
       return res.status(404).json({ error: 'Friend request not found' });
     }
     
-    friendship.status = 'accepted';
+    friendship.accept();
     await friendship.save();
     
     await friendship.populate('requester', 'username');
     await friendship.populate('recipient', 'username');
     
+    const io = req.app.get('io');
+    
+    // The request has been answered, so its notification is settled
+    const settled = await Notification.markRead(currentUserId, { friendship: friendship._id });
+    if (settled > 0) await syncNotificationCount(io, currentUserId);
+    
+    await notify(io, {
+      recipient: friendship.requester._id,
+      actor: currentUserId,
+      type: 'friend-accepted',
+      friendship: friendship._id
+    });
+    
     res.json({ 
       message: 'Friend request accepted',
       friendship: friendship
@@ -168,14 +220,22 @@ router.post('/api/friends/decline', isLoggedIn, async (req, res) => {
     const friendship = await Friendship.findOne({
       _id: friendshipId,
       recipient: currentUserId,
-      status: 'pending'
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
     });
     
     if (!friendship) {
       return res.status(404).json({ error: 'Friend request not found' });
     }
     
-    await Friendship.findByIdAndDelete(friendshipId);
+    // Keep the document through the cooldown so the requester can't
+    // immediately ask again
+    friendship.decline();
+    await friendship.save();
+    
+    // Drop the notification for the declined request
+    const removed = await Notification.deleteMany({ friendship: friendship._id });
+    if (removed.deletedCount > 0) await syncNotificationCount(req.app.get('io'), currentUserId);
     
     res.json({ message: 'Friend request declined' });
   } catch (err) {
@@ -184,6 +244,37 @@ router.post('/api/friends/decline', isLoggedIn, async (req, res) => {
   }
 });
 
+// Cancel a friend request the current user sent
+router.post('/api/friends/cancel', isLoggedIn, async (req, res) => {
+  try {
+    const { friendshipId } = req.body;
+    const currentUserId = req.session.userId;
+    
+    if (!friendshipId) {
+      return res.status(400).json({ error: 'Friendship ID required' });
+    }
+    
+    const friendship = await Friendship.findOneAndDelete({
+      _id: friendshipId,
+      requester: currentUserId,
+      status: 'pending'
+    });
+    
+    if (!friendship) {
+      return res.status(404).json({ error: 'Friend request not found' });
+    }
+    
+    // Take the request out of the recipient's notification center
+    const removed = await Notification.deleteMany({ friendship: friendship._id });
+    if (removed.deletedCount > 0) await syncNotificationCount(req.app.get('io'), friendship.recipient);
+    
+    res.json({ message: 'Friend request cancelled' });
+  } catch (err) {
+    console.error('Error cancelling friend request:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Remove friend
 router.post('/api/friends/remove', isLoggedIn, async (req, res) => {
   try {
@@ -195,10 +286,8 @@ router.post('/api/friends/remove', isLoggedIn, async (req, res) => {
     }
     
     const friendship = await Friendship.findOne({
-      $or: [
-        { requester: currentUserId, recipient: friendId, status: 'accepted' },
-        { requester: friendId, recipient: currentUserId, status: 'accepted' }
-      ]
+      pairKey: Friendship.pairKey(currentUserId, friendId),
+      status: 'accepted'
     });
     
     if (!friendship) {
@@ -224,19 +313,9 @@ router.get('/api/friends/search', isLoggedIn, async (req, res) => {
       return res.json([]);
     }
     
-    // Get existing relationships to exclude
-    const existingRelationships = await Friendship.find({
-      $or: [
-        { requester: currentUserId },
-        { recipient: currentUserId }
-      ]
-    }).select('requester recipient');
-    
-    const excludedIds = [currentUserId];
-    existingRelationships.forEach(rel => {
-      excludedIds.push(rel.requester.toString());
-      excludedIds.push(rel.recipient.toString());
-    });
+    // Get existing relationships to exclude, blocks in either direction included
+    const relatedIds = await Friendship.getRelatedUserIds(currentUserId);
+    const excludedIds = [currentUserId, ...relatedIds];
     
     const users = await User.find({
       _id: { $nin: excludedIds },
@@ -253,19 +332,35 @@ router.get('/api/friends/search', isLoggedIn, async (req, res) => {
   }
 });
 
+// Get people the current user may know
+router.get('/api/friends/suggestions', isLoggedIn, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    
+    const suggestions = await Friendship.getSuggestions(req.session.userId, limit);
+    res.json(suggestions);
+  } catch (err) {
+    console.error('Error fetching friend suggestions:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get mutual friends count
 router.get('/api/friends/mutual/:userId', isLoggedIn, async (req, res) => {
   try {
     const { userId } = req.params;
     const currentUserId = req.session.userId;
     
-    const currentUserFriends = await Friendship.getFriends(currentUserId);
-    const otherUserFriends = await Friendship.getFriends(userId);
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
-    const currentUserFriendIds = currentUserFriends.map(friend => friend._id.toString());
-    const mutualFriends = otherUserFriends.filter(friend => 
-      currentUserFriendIds.includes(friend._id.toString())
-    );
+    const isBlocked = await Friendship.isBlocked(currentUserId, userId);
+    if (isBlocked) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const mutualFriends = await Friendship.getMutualFriends(currentUserId, userId);
     
     res.json({ mutualCount: mutualFriends.length, mutualFriends });
   } catch (err) {
@@ -274,4 +369,85 @@ router.get('/api/friends/mutual/:userId', isLoggedIn, async (req, res) => {
   }
 });
 
+// Block a user
+router.post('/api/friends/block', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.session.userId;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+    
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    if (userId === currentUserId) {
+      return res.status(400).json({ error: 'Cannot block yourself' });
+    }
+    
+    const user = await User.findById(userId).select('username');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const alreadyBlocked = await Friendship.hasBlocked(currentUserId, userId);
+    if (alreadyBlocked) {
+      return res.status(400).json({ error: 'User is already blocked' });
+    }
+    
+    await Friendship.block(currentUserId, userId);
+    
+    // Custom posts shared with the current user's lists no longer reach them
+    await FriendList.removeFromOwnerLists(currentUserId, userId);
+    
+    // Clear anything they left in the current user's notification center
+    const removed = await Notification.deleteMany({ recipient: currentUserId, actor: userId });
+    if (removed.deletedCount > 0) await syncNotificationCount(req.app.get('io'), currentUserId);
+    
+    res.json({ message: 'User blocked' });
+  } catch (err) {
+    console.error('Error blocking user:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unblock a user
+router.post('/api/friends/unblock', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const currentUserId = req.session.userId;
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+    
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+    
+    const unblocked = await Friendship.unblock(currentUserId, userId);
+    if (!unblocked) {
+      return res.status(404).json({ error: 'Blocked user not found' });
+    }
+    
+    res.json({ message: 'User unblocked' });
+  } catch (err) {
+    console.error('Error unblocking user:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get users blocked by current user
+router.get('/api/friends/blocked', isLoggedIn, async (req, res) => {
+  try {
+    const blockedUsers = await Friendship.getBlockedUsers(req.session.userId);
+    res.json(blockedUsers);
+  } catch (err) {
+    console.error('Error fetching blocked users:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
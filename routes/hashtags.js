@@ -0,0 +1,94 @@
+// routes/hashtags.js
+const express = require('express');
+const router = express.Router();
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { extractHashtags } = require('../text/entities');
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Normalise a tag from the URL; null if it isn't a valid hashtag
+function parseTag(rawTag) {
+  const [tag] = extractHashtags('#' + rawTag);
+  return tag && tag === rawTag.toLowerCase() ? tag : null;
+}
+
+// Add the fields the post cards show to lean posts
+function withPostMetadata(posts, userId) {
+  return posts.map(post => ({
+    ...post,
+    timeRemaining: Post.formatTimeRemaining(post.expiresAt),
+    timeAgo: Post.formatTimeAgo(post.createdAt),
+    likeCount: post.likes ? post.likes.length : 0,
+    commentCount: post.commentCount,
+    isLikedByUser: post.likes ? post.likes.some(like => like.user && like.user._id.toString() === userId.toString()) : false
+  }));
+}
+
+// Get the hashtags trending among posts the user can see
+router.get('/api/hashtags/trending', isLoggedIn, async (req, res) => {
+  try {
+    const hours = Math.min(parseInt(req.query.hours) || 24, 24 * 7);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const tags = await Post.getTrendingTags(req.session.userId, hours, limit);
+    res.json(tags);
+  } catch (err) {
+    console.error('Error fetching trending hashtags:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get posts with a hashtag
+router.get('/api/hashtags/:tag/posts', isLoggedIn, async (req, res) => {
+  try {
+    const tag = parseTag(req.params.tag);
+    if (!tag) {
+      return res.status(404).json({ error: 'Hashtag not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const posts = await Post.getTaggedPosts(req.session.userId, tag, page, limit);
+    res.json(withPostMetadata(posts, req.session.userId));
+  } catch (err) {
+    console.error('Error fetching hashtag posts:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Hashtag page
+router.get('/hashtags/:tag', isLoggedIn, async (req, res) => {
+  try {
+    const tag = parseTag(req.params.tag);
+    if (!tag) {
+      return res.status(404).send('Hashtag not found');
+    }
+
+    const currentUser = await User.findById(req.session.userId).select('username profilePicture');
+    const posts = await Post.getTaggedPosts(req.session.userId, tag, 1, 20);
+    const trendingTags = await Post.getTrendingTags(req.session.userId);
+
+    res.render('hashtag', {
+      username: req.session.username || 'Guest',
+      currentUser,
+      currentUserId: req.session.userId,
+      tag,
+      posts: withPostMetadata(posts, req.session.userId),
+      trendingTags
+    });
+  } catch (err) {
+    console.error('Error loading hashtag page:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+module.exports = router;
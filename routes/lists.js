@@ -0,0 +1,233 @@
+// routes/lists.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const FriendList = require('../models/FriendList');
+const Friendship = require('../models/Friendship');
+const Post = require('../models/Post');
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Load one of the current user's friend lists
+async function loadList(req, res) {
+  const { listId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(listId)) {
+    res.status(404).json({ error: 'Friend list not found' });
+    return null;
+  }
+
+  const list = await FriendList.findOne({ _id: listId, owner: req.session.userId });
+  if (!list) {
+    res.status(404).json({ error: 'Friend list not found' });
+    return null;
+  }
+
+  return list;
+}
+
+// Validate a list name; returns an error message or null
+function checkListName(name) {
+  if (!name || name.trim().length === 0) {
+    return 'List name is required';
+  }
+  if (name.trim().length > 50) {
+    return 'List name too long (max 50 characters)';
+  }
+  return null;
+}
+
+// Get current user's friend lists
+router.get('/api/friend-lists', isLoggedIn, async (req, res) => {
+  try {
+    const lists = await FriendList.getForOwner(req.session.userId);
+    res.json(lists);
+  } catch (err) {
+    console.error('Error fetching friend lists:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Create a friend list
+router.post('/api/friend-lists', isLoggedIn, async (req, res) => {
+  try {
+    const { name, memberIds = [] } = req.body;
+    const currentUserId = req.session.userId;
+
+    const nameError = checkListName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    if (!Array.isArray(memberIds) || !memberIds.every(id => mongoose.isObjectIdOrHexString(id))) {
+      return res.status(400).json({ error: 'Invalid member ID' });
+    }
+
+    const uniqueIds = [...new Set(memberIds.map(id => id.toString()))];
+
+    // Lists only hold friends
+    for (const memberId of uniqueIds) {
+      const areFriends = await Friendship.areFriends(currentUserId, memberId);
+      if (!areFriends) {
+        return res.status(403).json({ error: 'You can only add friends to a list' });
+      }
+    }
+
+    const existing = await FriendList.findOne({ owner: currentUserId, name: name.trim() });
+    if (existing) {
+      return res.status(400).json({ error: 'You already have a list with that name' });
+    }
+
+    const list = new FriendList({
+      owner: currentUserId,
+      name: name.trim(),
+      members: uniqueIds
+    });
+
+    await list.save();
+    await list.populate('members', 'username profilePicture isOnline');
+
+    res.status(201).json({
+      message: 'Friend list created successfully',
+      list: list
+    });
+  } catch (err) {
+    console.error('Error creating friend list:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Rename a friend list
+router.post('/api/friend-lists/:listId/rename', isLoggedIn, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const nameError = checkListName(name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    const existing = await FriendList.findOne({
+      owner: req.session.userId,
+      name: name.trim(),
+      _id: { $ne: list._id }
+    });
+    if (existing) {
+      return res.status(400).json({ error: 'You already have a list with that name' });
+    }
+
+    list.name = name.trim();
+    await list.save();
+
+    res.json({
+      message: 'Friend list renamed successfully',
+      list: list
+    });
+  } catch (err) {
+    console.error('Error renaming friend list:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add a friend to a list
+router.post('/api/friend-lists/:listId/add', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    const areFriends = await Friendship.areFriends(req.session.userId, userId);
+    if (!areFriends) {
+      return res.status(403).json({ error: 'You can only add friends to a list' });
+    }
+
+    if (list.hasMember(userId)) {
+      return res.status(400).json({ error: 'Already on this list' });
+    }
+
+    list.members.push(userId);
+    await list.save();
+    await list.populate('members', 'username profilePicture isOnline');
+
+    res.json({
+      message: 'Added to friend list',
+      list: list
+    });
+  } catch (err) {
+    console.error('Error adding to friend list:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove someone from a list
+router.post('/api/friend-lists/:listId/remove', isLoggedIn, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'User ID required' });
+    }
+
+    if (!mongoose.isObjectIdOrHexString(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    if (!list.hasMember(userId)) {
+      return res.status(404).json({ error: 'Not on this list' });
+    }
+
+    list.members.pull(userId);
+    await list.save();
+    await list.populate('members', 'username profilePicture isOnline');
+
+    res.json({
+      message: 'Removed from friend list',
+      list: list
+    });
+  } catch (err) {
+    console.error('Error removing from friend list:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a friend list
+router.delete('/api/friend-lists/:listId', isLoggedIn, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await FriendList.findByIdAndDelete(list._id);
+
+    // Posts shared only with this list are left visible to their author alone
+    await Post.updateMany({ audienceLists: list._id }, { $pull: { audienceLists: list._id } });
+
+    res.json({ message: 'Friend list deleted' });
+  } catch (err) {
+    console.error('Error deleting friend list:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -8,6 +8,10 @@ const mongoose = require('mongoose');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Friendship = require('../models/Friendship');
+const Conversation = require('../models/Conversation');
+const Call = require('../models/Call');
+const Notification = require('../models/Notification');
+const { sendToUsers, notifyMentions, notifyGroupMessage, syncNotificationCount } = require('../realtime');
 
 // Configure multer for message file uploads
 const storage = multer.diskStorage({
@@ -56,6 +60,149 @@ function isLoggedIn(req, res, next) {
   }
 }
 
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Resolve ?before / ?after message ID cursors into a createdAt/_id range.
+// Returns { filter, ascending }, or null when the cursor is not in scope.
+async function resolveCursor(query, scope) {
+  const cursorId = query.before || query.after;
+  if (!cursorId) {
+    return { filter: {}, ascending: false };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(cursorId)) return null;
+
+  const cursor = await Message.findOne({ $and: [{ _id: cursorId }, scope] }).select('createdAt');
+  if (!cursor) return null;
+
+  const op = query.before ? '$lt' : '$gt';
+  return {
+    filter: {
+      $or: [
+        { createdAt: { [op]: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+      ]
+    },
+    ascending: !query.before
+  };
+}
+
+// Fetch one page of messages for a scope, always returned oldest-first.
+// Without a cursor (or with ?before) the newest page comes first; with
+// ?after the page continues forward in time from the cursor.
+async function findMessagePage(scope, query) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  const cursor = await resolveCursor(query, scope);
+  if (!cursor) return null;
+
+  const direction = cursor.ascending ? 1 : -1;
+  const messages = await Message.find({ $and: [scope, cursor.filter] })
+    .populate('sender', 'username')
+    .populate('recipient', 'username')
+    .populate(Message.REPLY_POPULATE)
+    .sort({ createdAt: direction, _id: direction })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  if (!cursor.ascending) page.reverse();
+
+  return { messages: page, hasMore };
+}
+
+// Fetch a window of messages centred on one message, for jumping to a
+// search hit. hasMore/hasNewer tell the client which way it can keep paging.
+async function findMessagesAround(scope, query) {
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const half = Math.max(1, Math.floor(limit / 2));
+
+  if (!mongoose.Types.ObjectId.isValid(query.around)) return null;
+
+  const anchor = await Message.findOne({ $and: [{ _id: query.around }, scope] })
+    .populate('sender', 'username')
+    .populate('recipient', 'username')
+    .populate(Message.REPLY_POPULATE);
+  if (!anchor) return null;
+
+  const older = await findMessagePage(scope, { before: query.around, limit: half });
+  const newer = await findMessagePage(scope, { after: query.around, limit: half });
+
+  return {
+    messages: [...older.messages, anchor, ...newer.messages],
+    hasMore: older.hasMore,
+    hasNewer: newer.hasMore
+  };
+}
+
+// Load a message the current user can see, or send an error response
+async function loadAccessibleMessage(req, res) {
+  const { messageId } = req.params;
+  const currentUserId = req.session.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+
+  let canAccess = message.isParticipant(currentUserId);
+  if (!canAccess && message.conversation) {
+    const conversation = await Conversation.findById(message.conversation);
+    canAccess = !!conversation && conversation.isMember(currentUserId);
+  }
+
+  if (!canAccess) {
+    res.status(404).json({ error: 'Message not found' });
+    return null;
+  }
+
+  return message;
+}
+
+// Push a message update to everyone who can see the message
+async function broadcastMessageEvent(req, message, event, payload) {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  if (message.conversation) {
+    const conversation = await Conversation.findById(message.conversation);
+    if (!conversation) return;
+    await sendToUsers(io, conversation.getMemberIds(), event, payload);
+    return;
+  }
+
+  await sendToUsers(io, [message.sender, message.recipient], event, payload);
+}
+
+// Escape user input for use inside a RegExp
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Find [start, end] ranges in content that match any of the search terms
+function findMatchRanges(content, terms) {
+  if (!content || terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const ranges = [];
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
 // Messages page route
 router.get('/messages', isLoggedIn, async (req, res) => {
   try {
@@ -65,12 +212,24 @@ router.get('/messages', isLoggedIn, async (req, res) => {
     const friends = await Friendship.getFriends(currentUserId);
 
     // Get current user info
-    const currentUser = await User.findById(currentUserId).select('username email');
+    const currentUser = await User.findById(currentUserId).select('username email eventSeq mutes');
+
+    // Direct chats whose mute hasn't run out
+    const now = new Date();
+    const mutedUserIds = currentUser
+      ? currentUser.mutes
+        .filter(mute => mute.user && (!mute.until || mute.until > now))
+        .map(mute => mute.user.toString())
+      : [];
 
     res.render('messages', { 
       users: friends, 
       currentUser: currentUser || { username: req.session.username || 'Guest' },
-      currentUserId: currentUserId
+      currentUserId: currentUserId,
+      mutedUserIds: mutedUserIds,
+      editWindowMs: Message.EDIT_WINDOW_MS,
+      // Sockets resume from here, so nothing emitted after this render is lost
+      eventSeq: currentUser ? currentUser.eventSeq : 0
     });
   } catch (err) {
     console.error('Error loading messages page:', err);
@@ -78,6 +237,118 @@ router.get('/messages', isLoggedIn, async (req, res) => {
   }
 });
 
+// Get unread counts per sender and total
+router.get('/api/messages/unread-counts', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+
+    const pipeline = [
+      { $match: { recipient: new mongoose.Types.ObjectId(currentUserId), isRead: false } },
+      { $group: { _id: '$sender', count: { $sum: 1 } } }
+    ];
+
+    const results = await Message.aggregate(pipeline);
+
+    const counts = {};
+    let total = 0;
+    results.forEach(r => {
+      counts[r._id.toString()] = r.count;
+      total += r.count;
+    });
+
+    res.json({ counts, total });
+  } catch (err) {
+    console.error('Error fetching unread counts:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Search the current user's messages
+router.get('/api/messages/search', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+    const { q, friendId, from, to, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (!q || q.trim().length < 2) {
+      return res.json({ results: [], hasMore: false });
+    }
+
+    const filters = [
+      { $text: { $search: q.trim() } },
+      { isDeleted: false, deletedFor: { $ne: currentUserId } }
+    ];
+
+    // Only conversations the current user takes part in
+    if (friendId) {
+      if (!mongoose.Types.ObjectId.isValid(friendId)) {
+        return res.status(400).json({ error: 'Invalid friend ID' });
+      }
+      filters.push({
+        $or: [
+          { sender: currentUserId, recipient: friendId },
+          { sender: friendId, recipient: currentUserId }
+        ]
+      });
+    } else {
+      const conversations = await Conversation.find({ 'members.user': currentUserId }).select('_id');
+      filters.push({
+        $or: [
+          { sender: currentUserId },
+          { recipient: currentUserId },
+          { conversation: { $in: conversations.map(c => c._id) } }
+        ]
+      });
+    }
+
+    if (from || to) {
+      const createdAt = {};
+      if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) return res.status(400).json({ error: 'Invalid from date' });
+        createdAt.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) return res.status(400).json({ error: 'Invalid to date' });
+        // Date-only values include the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCDate(toDate.getUTCDate() + 1);
+        createdAt.$lt = toDate;
+      }
+      filters.push({ createdAt });
+    }
+
+    if (type) {
+      if (!Message.schema.path('messageType').enumValues.includes(type)) {
+        return res.status(400).json({ error: 'Invalid message type' });
+      }
+      filters.push({ messageType: type });
+    }
+
+    const messages = await Message.find({ $and: filters })
+      .populate('sender', 'username')
+      .populate('recipient', 'username')
+      .populate('conversation', 'name')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .lean();
+
+    const terms = q.trim().split(/\s+/).map(term => term.replace(/^["-]+|"+$/g, '')).filter(Boolean);
+
+    const results = messages.slice(0, limit).map(message => ({
+      ...message,
+      matches: findMatchRanges(message.content, terms)
+    }));
+
+    res.json({ results, hasMore: messages.length > limit });
+  } catch (err) {
+    console.error('Error searching messages:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get chat history between two users
 router.get('/api/messages/:userId', isLoggedIn, async (req, res) => {
   try {
@@ -90,64 +361,368 @@ router.get('/api/messages/:userId', isLoggedIn, async (req, res) => {
       return res.status(403).json({ error: 'You can only message friends' });
     }
 
-    // Get messages between current user and selected user
-    const messages = await Message.find({
+    // Get a page of messages between current user and selected user
+    const scope = {
       $or: [
         { sender: currentUserId, recipient: userId },
         { sender: userId, recipient: currentUserId }
-      ]
-    })
-    .populate('sender', 'username')
-    .populate('recipient', 'username')
-    .sort({ createdAt: 1 })
-    .limit(50); // Limit to last 50 messages
+      ],
+      deletedFor: { $ne: currentUserId }
+    };
+    const page = req.query.around
+      ? await findMessagesAround(scope, req.query)
+      : await findMessagePage(scope, req.query);
 
-    // Mark messages as read
-    await Message.updateMany(
-      { sender: userId, recipient: currentUserId, isRead: false },
-      { isRead: true, readAt: new Date() }
-    );
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Fetched messages have reached this device; reads are reported
+    // per message by the client once they are actually on screen
+    const incomingIds = page.messages
+      .filter(message => message.recipient && message.recipient._id.toString() === currentUserId.toString())
+      .map(message => message._id);
+    const delivered = await Message.advanceStatus(incomingIds, currentUserId, 'delivered');
+
+    const io = req.app.get('io');
+
+    // Opening the chat settles any "new messages" notification from this friend
+    const settled = await Notification.markRead(currentUserId, { type: 'message', actor: userId, conversation: null });
+    if (settled > 0) await syncNotificationCount(io, currentUserId);
+
+    if (io && delivered.length > 0) {
+      await sendToUsers(io, [userId], 'message-status', {
+        messageIds: delivered.map(message => message._id),
+        status: 'delivered',
+        at: new Date()
+      });
+    }
 
-    res.json(messages);
+    res.json(page);
   } catch (err) {
     console.error('Error fetching messages:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get all friends (for user list)
-router.get('/api/users', isLoggedIn, async (req, res) => {
+// Mute notifications from a direct chat, optionally for a number of minutes
+router.post('/api/messages/:userId/mute', isLoggedIn, async (req, res) => {
   try {
-    const friends = await Friendship.getFriends(req.session.userId);
-    res.json(friends);
+    const { userId } = req.params;
+    const currentUserId = req.session.userId;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId) || userId === currentUserId) {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+    
+    const until = User.muteExpiry(req.body.minutes);
+    if (until === undefined) {
+      return res.status(400).json({ error: 'Invalid mute duration' });
+    }
+    
+    await User.setMute(currentUserId, { user: userId }, until);
+    
+    res.json({ message: 'Chat muted', until: until });
   } catch (err) {
-    console.error('Error fetching friends:', err);
+    console.error('Error muting chat:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Get unread counts per sender and total
-router.get('/api/messages/unread-counts', isLoggedIn, async (req, res) => {
+// Unmute a direct chat
+router.delete('/api/messages/:userId/mute', isLoggedIn, async (req, res) => {
   try {
+    const { userId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+    
+    await User.clearMute(req.session.userId, { user: userId });
+    
+    res.json({ message: 'Chat unmuted' });
+  } catch (err) {
+    console.error('Error unmuting chat:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get message history for a group conversation
+router.get('/api/messages/group/:conversationId', isLoggedIn, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
     const currentUserId = req.session.userId;
 
-    const pipeline = [
-      { $match: { recipient: new mongoose.Types.ObjectId(currentUserId), isRead: false } },
-      { $group: { _id: '$sender', count: { $sum: 1 } } }
-    ];
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
-    const results = await Message.aggregate(pipeline);
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(currentUserId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
 
-    const counts = {};
-    let total = 0;
-    results.forEach(r => {
-      counts[r._id.toString()] = r.count;
-      total += r.count;
+    const scope = { conversation: conversation._id, deletedFor: { $ne: currentUserId } };
+    const page = req.query.around
+      ? await findMessagesAround(scope, req.query)
+      : await findMessagePage(scope, req.query);
+    if (!page) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    // Opening the group settles any "new messages" notification from it
+    const settled = await Notification.markRead(currentUserId, { type: 'message', conversation: conversation._id });
+    if (settled > 0) await syncNotificationCount(req.app.get('io'), currentUserId);
+
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching group messages:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a group message (fallback for non-socket clients)
+router.post('/api/messages/group/:conversationId', isLoggedIn, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { content, replyTo } = req.body;
+    const senderId = req.session.userId;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Content required' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isMember(senderId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let replyTarget = null;
+    if (replyTo) {
+      replyTarget = await Message.findReplyTarget(replyTo, { conversationId });
+      if (!replyTarget) {
+        return res.status(400).json({ error: 'Reply target not found' });
+      }
+    }
+
+    const message = new Message({
+      sender: senderId,
+      conversation: conversationId,
+      content: content.trim(),
+      messageType: 'text',
+      replyTo: replyTarget ? replyTarget._id : undefined
     });
 
-    res.json({ counts, total });
+    await message.save();
+    await message.populate('sender', 'username');
+    await message.populate(Message.REPLY_POPULATE);
+
+    // Bump the conversation so it sorts to the top of everyone's list
+    await conversation.save();
+
+    const io = req.app.get('io');
+    await sendToUsers(io, conversation.getMemberIds(), 'new-group-message', message);
+    const mentioned = message.$locals.newMentions.filter(id => conversation.isMember(id));
+    await notifyMentions(io, mentioned, {
+      actor: senderId,
+      message: message._id,
+      // Members who muted the group aren't told
+      conversation: conversation._id,
+      preview: message.content.slice(0, 140)
+    });
+    await notifyGroupMessage(io, conversation, message, mentioned);
+
+    res.json(message);
   } catch (err) {
-    console.error('Error fetching unread counts:', err);
+    console.error('Error sending group message:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Edit a text message (sender only, within the edit window)
+router.post('/api/messages/:messageId/edit', isLoggedIn, async (req, res) => {
+  try {
+    const { content } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!content || content.trim().length === 0) {
+      return res.status(400).json({ error: 'Content required' });
+    }
+
+    const message = await loadAccessibleMessage(req, res);
+    if (!message) return;
+
+    if (message.sender.toString() !== currentUserId.toString()) {
+      return res.status(403).json({ error: 'You can only edit your own messages' });
+    }
+
+    if (!message.canEdit(currentUserId)) {
+      return res.status(400).json({ error: 'This message can no longer be edited' });
+    }
+
+    if (message.content === content.trim()) {
+      return res.json({ message: 'Message unchanged', data: message });
+    }
+
+    message.applyEdit(content.trim());
+    await message.save();
+
+    await broadcastMessageEvent(req, message, 'message-edited', {
+      messageId: message._id,
+      content: message.content,
+      mentions: message.mentions,
+      editedAt: message.editedAt
+    });
+
+    // Group members mentioned for the first time in this edit
+    if (message.conversation) {
+      const conversation = await Conversation.findById(message.conversation);
+      const mentioned = message.$locals.newMentions.filter(id => conversation && conversation.isMember(id));
+      await notifyMentions(req.app.get('io'), mentioned, {
+        actor: currentUserId,
+        message: message._id,
+        conversation: message.conversation,
+        preview: message.content.slice(0, 140)
+      });
+    }
+
+    res.json({
+      message: 'Message edited successfully',
+      data: message
+    });
+  } catch (err) {
+    console.error('Error editing message:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// React to a message (toggles the user's reaction with that emoji)
+router.post('/api/messages/:messageId/react', isLoggedIn, async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!emoji || typeof emoji !== 'string' || emoji.trim().length === 0) {
+      return res.status(400).json({ error: 'Emoji required' });
+    }
+
+    if (emoji.trim().length > Message.MAX_REACTION_LENGTH) {
+      return res.status(400).json({ error: 'Reaction too long' });
+    }
+
+    const message = await loadAccessibleMessage(req, res);
+    if (!message) return;
+
+    if (message.isDeleted) {
+      return res.status(400).json({ error: 'Cannot react to a deleted message' });
+    }
+
+    const isReacted = message.toggleReaction(currentUserId, emoji.trim());
+    await message.save();
+
+    const reactions = message.getReactionSummary();
+
+    await broadcastMessageEvent(req, message, 'message-reaction', {
+      messageId: message._id,
+      reactions: reactions
+    });
+
+    res.json({
+      message: isReacted ? 'Reaction added' : 'Reaction removed',
+      isReacted: isReacted,
+      reactions: reactions
+    });
+  } catch (err) {
+    console.error('Error toggling message reaction:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get edit history of a message
+router.get('/api/messages/:messageId/history', isLoggedIn, async (req, res) => {
+  try {
+    const message = await loadAccessibleMessage(req, res);
+    if (!message) return;
+
+    res.json({
+      content: message.content,
+      editedAt: message.editedAt,
+      editHistory: message.editHistory
+    });
+  } catch (err) {
+    console.error('Error fetching message history:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Delete a message for yourself, or for everyone (sender only)
+router.delete('/api/messages/:messageId', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+    const forEveryone = req.query.forEveryone === 'true' || req.body.forEveryone === true;
+
+    const message = await loadAccessibleMessage(req, res);
+    if (!message) return;
+
+    if (!forEveryone) {
+      message.hideFor(currentUserId);
+      await message.save();
+
+      // Sync the user's other open tabs
+      const io = req.app.get('io');
+      if (io) {
+        await sendToUsers(io, [currentUserId], 'message-deleted', {
+          messageId: message._id,
+          forEveryone: false
+        });
+      }
+
+      return res.json({ message: 'Message deleted for you' });
+    }
+
+    if (message.sender.toString() !== currentUserId.toString()) {
+      return res.status(403).json({ error: 'You can only delete your own messages for everyone' });
+    }
+
+    if (message.isDeleted) {
+      return res.json({ message: 'Message already deleted' });
+    }
+
+    const filePath = message.deleteForEveryone();
+    await message.save();
+
+    // Remove the attachment from disk
+    if (filePath) {
+      const fullPath = path.join(__dirname, '../public', filePath);
+      if (fs.existsSync(fullPath)) {
+        fs.unlinkSync(fullPath);
+      }
+    }
+
+    await broadcastMessageEvent(req, message, 'message-deleted', {
+      messageId: message._id,
+      forEveryone: true,
+      content: message.content
+    });
+
+    res.json({ message: 'Message deleted for everyone' });
+  } catch (err) {
+    console.error('Error deleting message:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get all friends (for user list)
+router.get('/api/users', isLoggedIn, async (req, res) => {
+  try {
+    const friends = await Friendship.getFriends(req.session.userId);
+    res.json(friends);
+  } catch (err) {
+    console.error('Error fetching friends:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -155,7 +730,7 @@ router.get('/api/messages/unread-counts', isLoggedIn, async (req, res) => {
 // Send a message (fallback for non-socket clients)
 router.post('/api/messages', isLoggedIn, async (req, res) => {
   try {
-    const { recipientId, content } = req.body;
+    const { recipientId, content, replyTo } = req.body;
     const senderId = req.session.userId;
 
     if (!recipientId || !content) {
@@ -168,16 +743,26 @@ router.post('/api/messages', isLoggedIn, async (req, res) => {
       return res.status(403).json({ error: 'You can only message friends' });
     }
 
+    let replyTarget = null;
+    if (replyTo) {
+      replyTarget = await Message.findReplyTarget(replyTo, { senderId, recipientId });
+      if (!replyTarget) {
+        return res.status(400).json({ error: 'Reply target not found' });
+      }
+    }
+
     const message = new Message({
       sender: senderId,
       recipient: recipientId,
       content: content.trim(),
-      messageType: 'text'
+      messageType: 'text',
+      replyTo: replyTarget ? replyTarget._id : undefined
     });
 
     await message.save();
     await message.populate('sender', 'username');
     await message.populate('recipient', 'username');
+    await message.populate(Message.REPLY_POPULATE);
 
     res.json(message);
   } catch (err) {
@@ -251,27 +836,28 @@ router.post('/api/messages/upload', isLoggedIn, upload.single('file'), async (re
   }
 });
 
-// Log call attempt
-router.post('/api/calls/log', isLoggedIn, async (req, res) => {
+// Get call history for current user
+router.get('/api/calls', isLoggedIn, async (req, res) => {
   try {
-    const { recipientId, type, duration, status } = req.body;
-    const callerId = req.session.userId;
-    
-    // Simple call log - you might want a separate Call model
-    const callLog = {
-      caller: callerId,
-      recipient: recipientId,
-      type: type, // 'outgoing', 'incoming'
-      status: status, // 'completed', 'missed', 'declined', 'failed'
-      duration: duration || 0,
-      timestamp: new Date()
-    };
-    
-    console.log('Call logged:', callLog);
-    
-    res.json({ success: true, message: 'Call logged successfully' });
+    const currentUserId = req.session.userId;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const calls = await Call.getCallHistory(currentUserId, page, limit);
+
+    // Describe each call from the current user's point of view
+    const callsWithDirection = calls.map(call => {
+      const isOutgoing = call.caller._id.toString() === currentUserId.toString();
+      return {
+        ...call,
+        direction: isOutgoing ? 'outgoing' : 'incoming',
+        otherUser: isOutgoing ? call.recipient : call.caller
+      };
+    });
+
+    res.json(callsWithDirection);
   } catch (err) {
-    console.error('Error logging call:', err);
+    console.error('Error fetching call history:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
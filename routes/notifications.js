@@ -0,0 +1,100 @@
+// routes/notifications.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { syncNotificationCount } = require('../realtime');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Get notifications for current user, newest first
+router.get('/api/notifications', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    let before = null;
+    if (req.query.before) {
+      before = new Date(req.query.before);
+      if (isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    const { notifications, hasMore } = await Notification.getForUser(currentUserId, before, limit);
+    const unreadCount = await Notification.getUnreadCount(currentUserId);
+
+    res.json({ notifications, hasMore, unreadCount });
+  } catch (err) {
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get unread notification count
+router.get('/api/notifications/unread-count', isLoggedIn, async (req, res) => {
+  try {
+    const count = await Notification.getUnreadCount(req.session.userId);
+    res.json({ count });
+  } catch (err) {
+    console.error('Error fetching unread notification count:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/api/notifications/read-all', isLoggedIn, async (req, res) => {
+  try {
+    const currentUserId = req.session.userId;
+
+    const updated = await Notification.markRead(currentUserId);
+    if (updated > 0) {
+      await syncNotificationCount(req.app.get('io'), currentUserId);
+    }
+
+    res.json({ message: 'All notifications marked as read', unreadCount: 0 });
+  } catch (err) {
+    console.error('Error marking all notifications as read:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Mark a single notification as read
+router.post('/api/notifications/:notificationId/read', isLoggedIn, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const currentUserId = req.session.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({ _id: notificationId, recipient: currentUserId });
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const updated = await Notification.markRead(currentUserId, { _id: notification._id });
+    if (updated > 0) {
+      await syncNotificationCount(req.app.get('io'), currentUserId);
+    }
+
+    const unreadCount = await Notification.getUnreadCount(currentUserId);
+    res.json({ message: 'Notification marked as read', unreadCount });
+  } catch (err) {
+    console.error('Error marking notification as read:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
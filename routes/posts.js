@@ -1,9 +1,15 @@
 // routes/posts.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Post = require('../models/Post');
+const Comment = require('../models/Comment');
 const User = require('../models/User');
 const Friendship = require('../models/Friendship');
+const FriendList = require('../models/FriendList');
+const { notify, notifyMentions, sendToFeeds } = require('../realtime');
+const postMedia = require('../media/posts');
 
 // Middleware to check if user is logged in
 function isLoggedIn(req, res, next) {
@@ -14,14 +20,87 @@ function isLoggedIn(req, res, next) {
   }
 }
 
+// Configure multer for post attachments; media/posts.js checks the contents
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    postMedia.ensureUploadDir();
+    cb(null, postMedia.UPLOAD_DIR);
+  },
+  // No extension until media/posts.js has identified the file
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'post-' + req.session.userId + '-' + uniqueSuffix);
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: postMedia.MAX_VIDEO_SIZE,
+    files: postMedia.MAX_IMAGES + 1, // images, or a video and its poster
+  },
+  fileFilter: function (req, file, cb) {
+    const allowed = file.fieldname === 'poster'
+      ? postMedia.IMAGE_TYPES.test(file.mimetype)
+      : postMedia.IMAGE_TYPES.test(file.mimetype) || postMedia.VIDEO_TYPES.test(file.mimetype);
+
+    if (allowed) {
+      return cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, WebP and GIF images or MP4, WebM and MOV videos are allowed'));
+    }
+  }
+});
+
+// Accept multipart post creation and report upload problems as JSON
+function uploadPostMedia(req, res, next) {
+  upload.fields([
+    { name: 'media', maxCount: postMedia.MAX_IMAGES },
+    { name: 'poster', maxCount: 1 }
+  ])(req, res, err => {
+    if (!err) return next();
+
+    // Multer removes what it already wrote for this request
+    const message = err instanceof multer.MulterError
+      ? (err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : `Too many files (max ${postMedia.MAX_IMAGES} images or one video)`)
+      : err.message;
+    res.status(400).json({ error: message });
+  });
+}
+
+// Tell friends who have the feed open about a post that just appeared on it.
+// Only logged on failure: the post is saved by now.
+async function announceNewPost(io, post) {
+  try {
+    const authorId = (post.author._id || post.author).toString();
+    const audience = await post.getFeedAudience();
+    sendToFeeds(io, audience.filter(id => id !== authorId), 'feed-new-post', {
+      postId: post._id,
+      authorId: authorId
+    });
+  } catch (err) {
+    console.error('Error announcing new post:', err);
+  }
+}
+
 // Create post page
 router.get('/create-post', isLoggedIn, async (req, res) => {
   try {
     const currentUser = await User.findById(req.session.userId).select('username email');
+    const friendLists = await FriendList.find({ owner: req.session.userId }).select('name members').sort({ name: 1 });
     
     res.render('create-post', {
       currentUser: currentUser || { username: req.session.username || 'Guest' },
-      currentUserId: req.session.userId
+      currentUserId: req.session.userId,
+      friendLists,
+      lifetimes: Post.LIFETIME_LABELS,
+      defaultLifetime: Post.DEFAULT_LIFETIME,
+      mediaLimits: {
+        maxImages: postMedia.MAX_IMAGES,
+        maxImageSize: postMedia.MAX_IMAGE_SIZE,
+        maxVideoSize: postMedia.MAX_VIDEO_SIZE,
+        maxVideoSeconds: postMedia.MAX_VIDEO_SECONDS
+      }
     });
   } catch (err) {
     console.error('Error loading create post page:', err);
@@ -29,29 +108,100 @@ router.get('/create-post', isLoggedIn, async (req, res) => {
   }
 });
 
-// Create a new post
-router.post('/api/posts', isLoggedIn, async (req, res) => {
+// Create a new post, optionally with uploaded images or a video
+router.post('/api/posts', isLoggedIn, uploadPostMedia, async (req, res) => {
+  const mediaFiles = (req.files && req.files.media) || [];
+  const poster = req.files && req.files.poster ? req.files.poster[0] : null;
+  const uploads = poster ? [...mediaFiles, poster] : mediaFiles;
+  let media = [];
+  
+  // Rejected requests leave nothing behind in the uploads folder
+  const reject = async (status, error) => {
+    await postMedia.deleteMedia(media);
+    await postMedia.discardUploads(uploads);
+    return res.status(status).json({ error: error });
+  };
+  
   try {
-    const { content, imageUrl, visibility = 'friends' } = req.body;
+    const { content, imageUrl, visibility = 'friends', lifetime = Post.DEFAULT_LIFETIME } = req.body;
+    // Multipart forms send a single list as a plain string
+    const audienceLists = [].concat(req.body.audienceLists || []);
     const authorId = req.session.userId;
     
     if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Post content is required' });
+      return reject(400, 'Post content is required');
     }
     
     if (content.trim().length > 2000) {
-      return res.status(400).json({ error: 'Post content too long (max 2000 characters)' });
+      return reject(400, 'Post content too long (max 2000 characters)');
+    }
+    
+    if (!['public', 'friends', 'private', 'custom'].includes(visibility)) {
+      return reject(400, 'Invalid visibility');
+    }
+    
+    if (!Object.keys(Post.LIFETIMES).includes(lifetime)) {
+      return reject(400, 'Invalid lifetime');
+    }
+    
+    // Custom posts go to one or more of the author's own friend lists
+    let listIds = [];
+    if (visibility === 'custom') {
+      if (audienceLists.length === 0 || !audienceLists.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return reject(400, 'Choose at least one friend list');
+      }
+      
+      const lists = await FriendList.find({ _id: { $in: audienceLists }, owner: authorId }).select('_id');
+      if (lists.length !== new Set(audienceLists.map(String)).size) {
+        return reject(400, 'Friend list not found');
+      }
+      listIds = lists.map(list => list._id);
+    }
+    
+    // Either up to MAX_IMAGES images, or one video
+    const videos = mediaFiles.filter(file => file.mimetype.startsWith('video/'));
+    if (videos.length > 0 && mediaFiles.length > 1) {
+      return reject(400, 'A post can have several images or one video, not both');
+    }
+    
+    if (videos.length === 1) {
+      const video = await postMedia.processVideo(videos[0], poster);
+      if (!video) {
+        return reject(400, `Unsupported, oversized or overlong video (MP4, WebM or MOV up to 50MB and ${postMedia.MAX_VIDEO_SECONDS} seconds)`);
+      }
+      media.push(video);
+    } else {
+      for (const file of mediaFiles) {
+        const image = await postMedia.processImage(file);
+        if (!image) {
+          return reject(400, `Unsupported or oversized image: ${file.originalname} (JPEG, PNG, WebP or GIF up to 10MB)`);
+        }
+        media.push(image);
+      }
     }
     
+    // The poster has been turned into the video thumbnail
+    if (poster) await postMedia.discardUploads([poster]);
+    
     const post = new Post({
       author: authorId,
       content: content.trim(),
       imageUrl: imageUrl ? imageUrl.trim() : undefined,
-      visibility: visibility
+      media: media,
+      visibility: visibility,
+      audienceLists: listIds
     });
+    post.startLifetime(lifetime);
     
     await post.save();
     await post.populate('author', 'username email isOnline');
+    await announceNewPost(req.app.get('io'), post);
+    
+    await notifyMentions(req.app.get('io'), await post.filterReaders(post.$locals.newMentions, authorId), {
+      actor: authorId,
+      post: post._id,
+      preview: post.content.slice(0, 140)
+    });
     
     res.status(201).json({
       message: 'Post created successfully',
@@ -59,42 +209,31 @@ router.post('/api/posts', isLoggedIn, async (req, res) => {
     });
   } catch (err) {
     console.error('Error creating post:', err);
-    res.status(500).json({ error: 'Server error' });
+    await reject(500, 'Server error').catch(cleanupErr => {
+      console.error('Error cleaning up post uploads:', cleanupErr);
+    });
   }
 });
 
-// Get posts for feed (friends' posts)
+// Get posts for feed (friends' posts), ?mode=latest or ?mode=top
 router.get('/api/posts/feed', isLoggedIn, async (req, res) => {
   try {
     const userId = req.session.userId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const mode = Post.FEED_MODES.includes(req.query.mode) ? req.query.mode : (req.session.feedMode || 'latest');
     
-    const posts = await Post.getFeedPosts(userId, page, limit);
+    const posts = await Post.getFeedPosts(userId, page, limit, mode);
     
     // Calculate time remaining for each post
     const postsWithTimeRemaining = posts.map(post => {
-      const now = new Date();
-      const expiration = new Date(post.expiresAt);
-      const remainingMs = expiration - now;
-      
-      let timeRemaining = 'Expired';
-      if (remainingMs > 0) {
-        const remainingHours = Math.floor(remainingMs / (1000 * 60 * 60));
-        const remainingMinutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-        
-        if (remainingHours > 0) {
-          timeRemaining = `${remainingHours}h ${remainingMinutes}m left`;
-        } else {
-          timeRemaining = `${remainingMinutes}m left`;
-        }
-      }
+      const timeRemaining = Post.formatTimeRemaining(post.expiresAt);
       
       return {
         ...post,
         timeRemaining,
         likeCount: post.likes ? post.likes.length : 0,
-        commentCount: post.comments ? post.comments.length : 0,
+        commentCount: post.commentCount,
         isLikedByUser: post.likes ? post.likes.some(like => like.user._id.toString() === userId.toString()) : false
       };
     });
@@ -116,23 +255,25 @@ router.get('/api/posts/user/:userId?', isLoggedIn, async (req, res) => {
     
     // Check if requesting other user's posts
     if (targetUserId !== currentUserId) {
-      // Check if users are friends or if posts are public
-      const areFriends = await Friendship.areFriends(currentUserId, targetUserId);
-      if (!areFriends) {
-        // Only return public posts for non-friends
-        const posts = await Post.find({
-          author: targetUserId,
-          visibility: 'public'
-        })
-        .populate('author', 'username email isOnline')
-        .populate('likes.user', 'username')
-        .populate('comments.user', 'username')
-        .sort({ createdAt: -1 })
-        .skip((page - 1) * limit)
-        .limit(limit);
-        
-        return res.json(posts);
+      const isBlocked = await Friendship.isBlocked(currentUserId, targetUserId);
+      if (isBlocked) {
+        return res.status(404).json({ error: 'User not found' });
       }
+      
+      // Only return the posts this viewer is in the audience for
+      const areFriends = await Friendship.areFriends(currentUserId, targetUserId);
+      const posts = await Post.find({
+        author: targetUserId,
+        ...Post.liveFilter(),
+        ...await Post.visibleToFilter(currentUserId, areFriends ? [targetUserId] : [])
+      })
+      .populate('author', 'username email isOnline')
+      .populate('likes.user', 'username')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+      
+      return res.json(posts);
     }
     
     const posts = await Post.getUserPosts(targetUserId, page, limit);
@@ -143,99 +284,182 @@ router.get('/api/posts/user/:userId?', isLoggedIn, async (req, res) => {
   }
 });
 
-// Like/Unlike a post
-router.post('/api/posts/:postId/like', isLoggedIn, async (req, res) => {
+// Load one of the current user's archived posts
+async function loadArchivedPost(req, res) {
+  const { postId } = req.params;
+  
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  
+  const post = await Post.findOne({ _id: postId, author: req.session.userId });
+  if (!post || !post.isArchived) {
+    res.status(404).json({ error: 'Post not found' });
+    return null;
+  }
+  
+  return post;
+}
+
+// Archive page: the current user's expired posts
+router.get('/archive', isLoggedIn, async (req, res) => {
   try {
-    const postId = req.params.postId;
-    const userId = req.session.userId;
+    const currentUser = await User.findById(req.session.userId).select('username profilePicture');
+    const posts = await Post.getArchivedPosts(req.session.userId, 1, 20);
+    
+    res.render('archive', {
+      username: req.session.username || 'Guest',
+      currentUser,
+      currentUserId: req.session.userId,
+      posts,
+      lifetimes: Post.LIFETIME_LABELS,
+      defaultLifetime: Post.DEFAULT_LIFETIME
+    });
+  } catch (err) {
+    console.error('Error loading archive:', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Get the current user's archived posts
+router.get('/api/posts/archive', isLoggedIn, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
     
-    const post = await Post.findById(postId);
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const posts = await Post.getArchivedPosts(req.session.userId, page, limit);
+    res.json(posts);
+  } catch (err) {
+    console.error('Error fetching archived posts:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Put an archived post back on feeds with a new lifetime; likes and
+// comments come back with it
+router.post('/api/posts/:postId/restore', isLoggedIn, async (req, res) => {
+  try {
+    const { lifetime = Post.DEFAULT_LIFETIME } = req.body;
     
-    // Check if user can see this post
-    if (post.visibility === 'private' && post.author.toString() !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (!Object.keys(Post.LIFETIMES).includes(lifetime)) {
+      return res.status(400).json({ error: 'Invalid lifetime' });
     }
     
-    if (post.visibility === 'friends' && post.author.toString() !== userId) {
-      const areFriends = await Friendship.areFriends(userId, post.author);
-      if (!areFriends) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
-    }
+    const post = await loadArchivedPost(req, res);
+    if (!post) return;
     
-    const isLiked = post.toggleLike(userId);
+    post.startLifetime(lifetime);
     await post.save();
-    
-    await post.populate('author', 'username');
+    await announceNewPost(req.app.get('io'), post);
     
     res.json({
-      message: isLiked ? 'Post liked' : 'Post unliked',
-      isLiked: isLiked,
-      likeCount: post.likes.length,
+      message: 'Post restored',
       post: post
     });
   } catch (err) {
-    console.error('Error toggling post like:', err);
+    console.error('Error restoring post:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Add comment to a post
-router.post('/api/posts/:postId/comment', isLoggedIn, async (req, res) => {
+// Share an archived post again as a new post; the archived one stays put
+router.post('/api/posts/:postId/repost', isLoggedIn, async (req, res) => {
   try {
-    const postId = req.params.postId;
-    const userId = req.session.userId;
-    const { content } = req.body;
+    const { lifetime = Post.DEFAULT_LIFETIME } = req.body;
     
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' });
+    if (!Object.keys(Post.LIFETIMES).includes(lifetime)) {
+      return res.status(400).json({ error: 'Invalid lifetime' });
     }
     
-    if (content.trim().length > 500) {
-      return res.status(400).json({ error: 'Comment too long (max 500 characters)' });
+    const original = await loadArchivedPost(req, res);
+    if (!original) return;
+    
+    const post = new Post({
+      author: original.author,
+      content: original.content,
+      imageUrl: original.imageUrl,
+      media: await postMedia.copyMedia(original.media, req.session.userId),
+      visibility: original.visibility,
+      audienceLists: original.audienceLists
+    });
+    post.startLifetime(lifetime);
+    
+    try {
+      await post.save();
+    } catch (err) {
+      await postMedia.deleteMedia(post.media);
+      throw err;
     }
     
+    await post.populate('author', 'username email isOnline');
+    await announceNewPost(req.app.get('io'), post);
+    
+    res.status(201).json({
+      message: 'Post shared again',
+      post: post
+    });
+  } catch (err) {
+    console.error('Error reposting post:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Like/Unlike a post
+router.post('/api/posts/:postId/like', isLoggedIn, async (req, res) => {
+  try {
+    const postId = req.params.postId;
+    const userId = req.session.userId;
+    
     const post = await Post.findById(postId);
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
+    // Posts by someone on either side of a block don't exist for this user
+    if (await Friendship.isBlocked(userId, post.author)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    
     // Check if user can see this post
-    if (post.visibility === 'private' && post.author.toString() !== userId) {
+    const canSee = await post.isVisibleTo(userId);
+    if (!canSee) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    if (post.visibility === 'friends' && post.author.toString() !== userId) {
-      const areFriends = await Friendship.areFriends(userId, post.author);
-      if (!areFriends) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    if (post.isArchived) {
+      return res.status(400).json({ error: 'This post has been archived' });
     }
     
-    const newComment = {
-      user: userId,
-      content: content.trim(),
-      createdAt: new Date()
-    };
-    
-    post.comments.push(newComment);
+    const isLiked = post.toggleLike(userId);
     await post.save();
     
-    await post.populate('comments.user', 'username profilePicture');
+    // Patch the count on every open feed showing the post
+    sendToFeeds(req.app.get('io'), await post.getFeedAudience(), 'feed-like-count', {
+      postId: post._id,
+      likeCount: post.likes.length
+    });
     
-    // Get the newly added comment
-    const addedComment = post.comments[post.comments.length - 1];
+    if (isLiked) {
+      await notify(req.app.get('io'), {
+        recipient: post.author,
+        actor: userId,
+        type: 'post-like',
+        post: post._id,
+        preview: post.content.slice(0, 140)
+      });
+    }
     
-    res.status(201).json({
-      message: 'Comment added successfully',
-      comment: addedComment,
-      commentCount: post.comments.length
+    await post.populate('author', 'username');
+    
+    res.json({
+      message: isLiked ? 'Post liked' : 'Post unliked',
+      isLiked: isLiked,
+      likeCount: post.likes.length,
+      post: post
     });
   } catch (err) {
-    console.error('Error adding comment:', err);
+    console.error('Error toggling post like:', err);
     res.status(500).json({ error: 'Server error' });
   }
 });
@@ -257,6 +481,8 @@ router.delete('/api/posts/:postId', isLoggedIn, async (req, res) => {
     }
     
     await Post.findByIdAndDelete(postId);
+    await Comment.deleteMany({ post: post._id });
+    await postMedia.deleteMedia(post.media);
     
     res.json({ message: 'Post deleted successfully' });
   } catch (err) {
@@ -273,23 +499,20 @@ router.get('/api/posts/:postId', isLoggedIn, async (req, res) => {
     
     const post = await Post.findById(postId)
       .populate('author', 'username email isOnline profilePicture')
-      .populate('likes.user', 'username profilePicture')
-      .populate('comments.user', 'username profilePicture');
+      .populate('likes.user', 'username profilePicture');
     
     if (!post) {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    // Check if user can see this post
-    if (post.visibility === 'private' && post.author._id.toString() !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (await Friendship.isBlocked(userId, post.author._id)) {
+      return res.status(404).json({ error: 'Post not found' });
     }
     
-    if (post.visibility === 'friends' && post.author._id.toString() !== userId) {
-      const areFriends = await Friendship.areFriends(userId, post.author._id);
-      if (!areFriends) {
-        return res.status(403).json({ error: 'Access denied' });
-      }
+    // Check if user can see this post
+    const canSee = await post.isVisibleTo(userId);
+    if (!canSee) {
+      return res.status(403).json({ error: 'Access denied' });
     }
     
     res.json(post);
@@ -61,14 +61,14 @@ router.get('/profile', isLoggedIn, async (req, res) => {
     }
 
     // Get user's posts count
-    const postsCount = await Post.countDocuments({ author: req.session.userId });
+    const postsCount = await Post.countDocuments({ author: req.session.userId, ...Post.liveFilter() });
     
     // Get friends count
     const friends = await Friendship.getFriends(req.session.userId);
     const friendsCount = friends.length;
     
     // Get recent posts by user
-    const recentPosts = await Post.find({ author: req.session.userId })
+    const recentPosts = await Post.find({ author: req.session.userId, ...Post.liveFilter() })
       .sort({ createdAt: -1 })
       .limit(6)
       .populate('author', 'username profilePicture')
@@ -106,13 +106,14 @@ router.get('/profile/:userId', isLoggedIn, async (req, res) => {
       return res.status(404).render('404', { message: 'User not found' });
     }
 
+    // A user who blocked the viewer looks the same as one that doesn't exist
+    const blockedByUser = await Friendship.hasBlocked(userId, currentUserId);
+    if (blockedByUser) {
+      return res.status(404).render('404', { message: 'User not found' });
+    }
+
     // Check friendship status
-    const friendship = await Friendship.findOne({
-      $or: [
-        { requester: currentUserId, recipient: userId },
-        { requester: userId, recipient: currentUserId }
-      ]
-    });
+    const friendship = await Friendship.findPair(currentUserId, userId);
 
     let friendshipStatus = 'none';
     let canSendRequest = true;
@@ -128,43 +129,34 @@ router.get('/profile/:userId', isLoggedIn, async (req, res) => {
           friendshipStatus = 'pending';
         }
         canSendRequest = false;
+      } else if (friendship.status === 'blocked') {
+        friendshipStatus = 'blocked';
+        canSendRequest = false;
+      } else if (friendship.status === 'declined') {
+        // The declined requester waits out the cooldown
+        canSendRequest = friendship.requester.toString() !== currentUserId;
       }
     }
 
     // Get user's posts count
-    const postsCount = await Post.countDocuments({ author: userId });
+    const postsCount = await Post.countDocuments({ author: userId, ...Post.liveFilter() });
     
     // Get friends count
     const friends = await Friendship.getFriends(userId);
     const friendsCount = friends.length;
 
     // Get mutual friends
-    const currentUserFriends = await Friendship.getFriends(currentUserId);
-    const currentUserFriendIds = currentUserFriends.map(friend => friend._id.toString());
-    const mutualFriends = friends.filter(friend => 
-      currentUserFriendIds.includes(friend._id.toString())
-    );
+    const mutualFriends = await Friendship.getMutualFriends(currentUserId, userId);
 
-    // Get recent posts (only if friends or public posts)
+    // Get recent posts the viewer is in the audience for
     let recentPosts = [];
-    if (friendshipStatus === 'friends') {
-      recentPosts = await Post.find({ 
-        author: userId,
-        visibility: { $in: ['public', 'friends'] }
-      })
-      .sort({ createdAt: -1 })
-      .limit(6)
-      .populate('author', 'username profilePicture')
-      .lean();
-    } else {
-      recentPosts = await Post.find({ 
-        author: userId,
-        visibility: 'public'
-      })
-      .sort({ createdAt: -1 })
-      .limit(6)
-      .populate('author', 'username profilePicture')
-      .lean();
+    if (friendshipStatus !== 'blocked') {
+      const audience = await Post.visibleToFilter(currentUserId, friendshipStatus === 'friends' ? [userId] : []);
+      recentPosts = await Post.find({ author: userId, ...Post.liveFilter(), ...audience })
+        .sort({ createdAt: -1 })
+        .limit(6)
+        .populate('author', 'username profilePicture')
+        .lean();
     }
 
     const currentUser = await User.findById(currentUserId).select('username');
@@ -179,6 +171,7 @@ router.get('/profile/:userId', isLoggedIn, async (req, res) => {
       mutualCount: mutualFriends.length,
       recentPosts,
       friendshipStatus,
+      friendshipId: friendship ? friendship._id : null,
       canSendRequest,
       isOwnProfile: false
     });
@@ -305,7 +298,8 @@ router.get('/api/users/:userId/info', isLoggedIn, async (req, res) => {
     const user = await User.findById(userId)
       .select('username fullName profilePicture isOnline lastSeen');
     
-    if (!user) {
+    const isBlocked = user && await Friendship.isBlocked(req.session.userId, userId);
+    if (!user || isBlocked) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -0,0 +1,136 @@
+// routes/push.js
+const express = require('express');
+const router = express.Router();
+const PushSubscription = require('../models/PushSubscription');
+const { getVapidConfig, isAllowedEndpoint } = require('../realtime/push');
+
+// Middleware to check if user is logged in
+function isLoggedIn(req, res, next) {
+  if (req.session.userId) {
+    next();
+  } else {
+    res.redirect('/login');
+  }
+}
+
+// Public VAPID key the browser needs to subscribe
+router.get('/api/push/public-key', isLoggedIn, (req, res) => {
+  const vapid = getVapidConfig();
+  if (!vapid) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+  res.json({ publicKey: vapid.publicKey });
+});
+
+// Get this device's subscription settings
+router.get('/api/push/subscription', isLoggedIn, async (req, res) => {
+  try {
+    const { endpoint } = req.query;
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Endpoint required' });
+    }
+
+    const subscription = await PushSubscription.findOne({
+      endpoint: endpoint,
+      user: req.session.userId
+    }).select('categories');
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({ categories: subscription.categories });
+  } catch (err) {
+    console.error('Error fetching push subscription:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Save a device's push subscription and the categories it opted into
+router.post('/api/push/subscribe', isLoggedIn, async (req, res) => {
+  try {
+    const { subscription, categories } = req.body;
+    const currentUserId = req.session.userId;
+
+    if (!subscription || !subscription.endpoint || !subscription.keys ||
+        !subscription.keys.p256dh || !subscription.keys.auth) {
+      return res.status(400).json({ error: 'Invalid subscription' });
+    }
+
+    if (!isAllowedEndpoint(subscription.endpoint)) {
+      return res.status(400).json({ error: 'Push endpoint must use HTTPS' });
+    }
+
+    // A browser that was used by someone else now belongs to this user
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint: subscription.endpoint },
+      {
+        user: currentUserId,
+        keys: {
+          p256dh: subscription.keys.p256dh,
+          auth: subscription.keys.auth
+        },
+        categories: PushSubscription.normalizeCategories(categories),
+        userAgent: (req.get('User-Agent') || '').slice(0, 300)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      message: 'Push subscription saved',
+      categories: saved.categories
+    });
+  } catch (err) {
+    console.error('Error saving push subscription:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change which categories a device receives
+router.post('/api/push/preferences', isLoggedIn, async (req, res) => {
+  try {
+    const { endpoint, categories } = req.body;
+
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Endpoint required' });
+    }
+
+    const subscription = await PushSubscription.findOneAndUpdate(
+      { endpoint: endpoint, user: req.session.userId },
+      { categories: PushSubscription.normalizeCategories(categories) },
+      { new: true }
+    );
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      message: 'Push preferences updated',
+      categories: subscription.categories
+    });
+  } catch (err) {
+    console.error('Error updating push preferences:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Remove a device's subscription
+router.post('/api/push/unsubscribe', isLoggedIn, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+
+    if (!endpoint) {
+      return res.status(400).json({ error: 'Endpoint required' });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: endpoint, user: req.session.userId });
+
+    res.json({ message: 'Push subscription removed' });
+  } catch (err) {
+    console.error('Error removing push subscription:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// scripts/backfill-entities.js
+// Parse hashtags and mentions out of posts, comments and text messages
+// written before they were stored. Safe to run more than once; comments
+// kept in their posts need scripts/migrate-comments.js first.
+// Usage: node scripts/backfill-entities.js
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Message = require('../models/Message');
+const { extractHashtags, resolveMentions } = require('../text/entities');
+
+async function entitiesFor(content) {
+  return { hashtags: extractHashtags(content), mentions: await resolveMentions(content) };
+}
+
+async function backfill() {
+  let posts = 0;
+  for await (const post of Post.find({}).select('content').lean().cursor()) {
+    // Straight to the collection, so no notifications go out for old mentions
+    await Post.collection.updateOne({ _id: post._id }, { $set: await entitiesFor(post.content) });
+    posts++;
+  }
+
+  let comments = 0;
+  for await (const comment of Comment.find({ isDeleted: false }).select('content').lean().cursor()) {
+    await Comment.collection.updateOne({ _id: comment._id }, { $set: await entitiesFor(comment.content) });
+    comments++;
+  }
+
+  let messages = 0;
+  for await (const message of Message.find({ messageType: 'text', isDeleted: { $ne: true } }).select('content').lean().cursor()) {
+    await Message.collection.updateOne({ _id: message._id }, { $set: await entitiesFor(message.content) });
+    messages++;
+  }
+
+  console.log(`Backfilled ${posts} posts, ${comments} comments and ${messages} messages`);
+}
+
+mongoose
+  .connect(process.env.MONGO_URL)
+  .then(backfill)
+  .catch(err => {
+    console.error('Backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
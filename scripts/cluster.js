@@ -0,0 +1,34 @@
+// scripts/cluster.js
+// Start several app instances on consecutive ports, sharing MongoDB for
+// sessions, presence and realtime fan-out. Usage: node scripts/cluster.js [count]
+
+const path = require('path');
+const { fork } = require('child_process');
+
+require('dotenv').config();
+
+const count = parseInt(process.argv[2], 10) || 2;
+const basePort = parseInt(process.env.PORT, 10) || 3003;
+
+const children = [];
+for (let i = 0; i < count; i++) {
+  const port = basePort + i;
+  const child = fork(path.join(__dirname, '..', 'app.js'), [], {
+    env: {
+      ...process.env,
+      PORT: port,
+      SERVER_ID: `local-${port}`,
+      REALTIME_TRANSPORT: 'mongo'
+    }
+  });
+  child.on('exit', code => console.log(`Instance on port ${port} exited with code ${code}`));
+  children.push(child);
+}
+
+// Take the instances down with us
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    children.forEach(child => child.kill(signal));
+    process.exit(0);
+  });
+});
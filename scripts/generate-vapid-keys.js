@@ -0,0 +1,9 @@
+// scripts/generate-vapid-keys.js
+// Print a fresh VAPID key pair to put in .env. Usage: node scripts/generate-vapid-keys.js
+
+const { generateVapidKeys } = require('../realtime/push');
+
+const keys = generateVapidKeys();
+console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+console.log('VAPID_SUBJECT=mailto:you@example.com');
@@ -0,0 +1,63 @@
+// scripts/migrate-comments.js
+// Move comments out of their posts into the comments collection, keeping
+// their IDs and dates, and store each post's comment count. Safe to run
+// more than once. Run before starting the new version:
+// node scripts/migrate-comments.js
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+async function migrate() {
+  let comments = 0;
+
+  // The embedded comments aren't in the schema any more, so read them raw
+  const cursor = Post.collection.find({ comments: { $exists: true } }, { projection: { comments: 1 } });
+  for await (const post of cursor) {
+    const operations = post.comments.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: { $setOnInsert: {
+          post: post._id,
+          user: comment.user,
+          content: comment.content,
+          hashtags: comment.hashtags || [],
+          mentions: comment.mentions || [],
+          likes: [],
+          replyCount: 0,
+          isDeleted: false,
+          createdAt: comment.createdAt || post._id.getTimestamp()
+        } },
+        upsert: true
+      }
+    }));
+    // Straight to the collection, so no notifications go out for old mentions
+    if (operations.length > 0) {
+      await Comment.collection.bulkWrite(operations);
+    }
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { commentCount: post.comments.length }, $unset: { comments: '' } }
+    );
+    comments += post.comments.length;
+  }
+
+  // Posts that never had a comment still need a count for lean queries
+  await Post.collection.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+
+  await Post.syncIndexes();
+  await Comment.syncIndexes();
+  console.log(`Moved ${comments} comments`);
+}
+
+mongoose
+  .connect(process.env.MONGO_URL)
+  .then(migrate)
+  .catch(err => {
+    console.error('Comment migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
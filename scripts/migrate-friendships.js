@@ -0,0 +1,64 @@
+// scripts/migrate-friendships.js
+// Fold friendships created before pair keys into one document per user pair.
+// Run once before starting the new version: node scripts/migrate-friendships.js
+
+// Load .env first; the model reads its expiry settings when required
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Friendship = require('../models/Friendship');
+
+// Which document survives when a pair has more than one
+const STATUS_RANK = { blocked: 3, accepted: 2, pending: 1, declined: 0 };
+
+async function migrate() {
+  const collection = Friendship.collection;
+
+  // The old per-direction unique index is replaced by the pair key
+  const indexes = await collection.indexes();
+  if (indexes.some(index => index.name === 'requester_1_recipient_1')) {
+    await collection.dropIndex('requester_1_recipient_1');
+  }
+
+  const pairs = new Map();
+  const cursor = collection.find({});
+  for await (const doc of cursor) {
+    const key = Friendship.pairKey(doc.requester, doc.recipient);
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push(doc);
+  }
+
+  let merged = 0;
+  for (const [key, docs] of pairs) {
+    docs.sort((a, b) => STATUS_RANK[b.status] - STATUS_RANK[a.status] || b.updatedAt - a.updatedAt);
+    const [keep, ...rest] = docs;
+
+    const update = { pairKey: key };
+    if (keep.status === 'blocked') {
+      // Each old block document was placed by its requester
+      update.blockedBy = docs.filter(doc => doc.status === 'blocked').map(doc => doc.requester);
+    } else if (keep.status === 'pending') {
+      update.expiresAt = new Date(keep.createdAt.getTime() + Friendship.REQUEST_EXPIRY_MS);
+    } else if (keep.status === 'declined') {
+      update.expiresAt = new Date(keep.updatedAt.getTime() + Friendship.DECLINE_COOLDOWN_MS);
+    }
+
+    await collection.updateOne({ _id: keep._id }, { $set: update });
+    if (rest.length > 0) {
+      await collection.deleteMany({ _id: { $in: rest.map(doc => doc._id) } });
+      merged += rest.length;
+    }
+  }
+
+  await Friendship.syncIndexes();
+  console.log(`Migrated ${pairs.size} pairs, removed ${merged} duplicate documents`);
+}
+
+mongoose
+  .connect(process.env.MONGO_URL)
+  .then(migrate)
+  .catch(err => {
+    console.error('Friendship migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+// scripts/migrate-post-lifetimes.js
+// Stop MongoDB deleting expired posts so they can move to the archive instead.
+// Run once before starting the new version: node scripts/migrate-post-lifetimes.js
+
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+
+async function migrate() {
+  const collection = Post.collection;
+
+  // The old TTL index deleted posts the moment they expired
+  const indexes = await collection.indexes();
+  if (indexes.some(index => index.name === 'expiresAt_1')) {
+    await collection.dropIndex('expiresAt_1');
+  }
+
+  // Posts from before lifetimes were chosen all had the 50 hour one
+  const result = await collection.updateMany(
+    { lifetime: { $exists: false } },
+    { $set: { lifetime: Post.DEFAULT_LIFETIME } }
+  );
+
+  await Post.syncIndexes();
+  console.log(`Migrated ${result.modifiedCount} posts`);
+}
+
+mongoose
+  .connect(process.env.MONGO_URL)
+  .then(migrate)
+  .catch(err => {
+    console.error('Post migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
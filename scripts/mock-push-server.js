@@ -0,0 +1,115 @@
+// scripts/mock-push-server.js
+// Local stand-in for a browser push service. Prints a subscription to register
+// with POST /api/push/subscribe, then verifies the VAPID signature on each
+// push it receives and prints the decrypted payload.
+// Usage: node scripts/mock-push-server.js [port]
+// POSTs to /gone/... answer 410 so expired-subscription cleanup can be tested.
+
+const http = require('http');
+const crypto = require('crypto');
+const { base64UrlEncode, base64UrlDecode } = require('../realtime/push');
+
+const port = parseInt(process.argv[2], 10) || 8090;
+const origin = `http://localhost:${port}`;
+
+// Key pair and auth secret a browser would normally generate
+const ecdh = crypto.createECDH('prime256v1');
+const userPublicKey = ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+// Check the "vapid t=<jwt>, k=<key>" header; returns the claims or throws
+function verifyVapid(authorization) {
+  const match = /^vapid t=([^,\s]+),\s*k=(\S+)$/.exec(authorization || '');
+  if (!match) throw new Error('Missing or malformed Authorization header');
+
+  const [header, claims, signature] = match[1].split('.');
+  const publicKey = base64UrlDecode(match[2]);
+  const verifyKey = crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: base64UrlEncode(publicKey.subarray(1, 33)),
+      y: base64UrlEncode(publicKey.subarray(33, 65))
+    }
+  });
+
+  const valid = crypto.verify('sha256', Buffer.from(`${header}.${claims}`), {
+    key: verifyKey,
+    dsaEncoding: 'ieee-p1363'
+  }, base64UrlDecode(signature));
+  if (!valid) throw new Error('Bad VAPID signature');
+
+  const decoded = JSON.parse(base64UrlDecode(claims).toString());
+  if (decoded.aud !== origin) throw new Error(`Unexpected audience ${decoded.aud}`);
+  if (decoded.exp * 1000 < Date.now()) throw new Error('VAPID token expired');
+  return decoded;
+}
+
+// Reverse of encryptPayload in realtime/push.js
+function decrypt(body) {
+  const salt = body.subarray(0, 16);
+  const keyIdLength = body.readUInt8(20);
+  const serverPublicKey = body.subarray(21, 21 + keyIdLength);
+  const ciphertext = body.subarray(21 + keyIdLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([
+    decipher.update(ciphertext.subarray(0, ciphertext.length - 16)),
+    decipher.final()
+  ]);
+
+  // Drop the padding and the last-record delimiter
+  const end = padded.lastIndexOf(2);
+  return padded.subarray(0, end).toString();
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      return res.end();
+    }
+
+    if (req.url.startsWith('/gone/')) {
+      console.log(`410 for ${req.url}`);
+      res.writeHead(410);
+      return res.end();
+    }
+
+    try {
+      const claims = verifyVapid(req.headers.authorization);
+      const payload = decrypt(Buffer.concat(chunks));
+      console.log(`Push for ${req.url} (sub ${claims.sub}, TTL ${req.headers.ttl}, urgency ${req.headers.urgency}):`);
+      console.log(payload);
+      res.writeHead(201);
+      res.end();
+    } catch (err) {
+      console.error('Rejected push:', err.message);
+      res.writeHead(400);
+      res.end(err.message);
+    }
+  });
+});
+
+server.listen(port, () => {
+  const subscription = {
+    endpoint: `${origin}/push/${crypto.randomBytes(8).toString('hex')}`,
+    keys: {
+      p256dh: base64UrlEncode(userPublicKey),
+      auth: base64UrlEncode(authSecret)
+    }
+  };
+  console.log(`Mock push service listening on ${origin}`);
+  console.log('Register this subscription while logged in (e.g. from the browser console):');
+  console.log(`fetch('/api/push/subscribe', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(${JSON.stringify({ subscription, categories: { messages: true, calls: true, friendRequests: true } })}) })`);
+});
@@ -0,0 +1,101 @@
+// test/notify-mute.test.js
+// realtime.notify must stay quiet for chats the recipient muted. Model
+// methods are stubbed, so no database is needed.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { notify, notifyMentions, notifyGroupMessage } = require('../realtime');
+
+const recipient = new mongoose.Types.ObjectId();
+const actor = new mongoose.Types.ObjectId();
+const conversation = new mongoose.Types.ObjectId();
+
+// Stub User.isMuted with the given answer and record what reaches
+// Notification.record; returns the log of both
+function stubModels(t, muted) {
+  const calls = { isMuted: [], record: [] };
+  t.mock.method(User, 'isMuted', async (userId, target) => {
+    calls.isMuted.push({ userId, target });
+    return muted;
+  });
+  t.mock.method(Notification, 'record', async fields => {
+    calls.record.push(fields);
+    return null;
+  });
+  return calls;
+}
+
+test('a mention in a muted group conversation gives no notification', async t => {
+  const calls = stubModels(t, true);
+
+  const result = await notify(null, { recipient, actor, type: 'mention', conversation, preview: 'hi @you' });
+
+  assert.strictEqual(result, null);
+  assert.deepStrictEqual(calls.isMuted, [{ userId: recipient, target: { conversation } }]);
+  assert.strictEqual(calls.record.length, 0);
+});
+
+test('a mention in a group conversation that is not muted is recorded', async t => {
+  const calls = stubModels(t, false);
+
+  await notify(null, { recipient, actor, type: 'mention', conversation });
+
+  assert.strictEqual(calls.record.length, 1);
+  assert.strictEqual(calls.record[0].conversation, conversation);
+});
+
+test('a direct message from a muted chat gives no notification', async t => {
+  const calls = stubModels(t, true);
+
+  await notify(null, { recipient, actor, type: 'message' });
+
+  assert.deepStrictEqual(calls.isMuted, [{ userId: recipient, target: { user: actor } }]);
+  assert.strictEqual(calls.record.length, 0);
+});
+
+test('notifications from outside chats ignore mutes', async t => {
+  const calls = stubModels(t, true);
+
+  await notify(null, { recipient, actor, type: 'post-like' });
+
+  assert.strictEqual(calls.isMuted.length, 0);
+  assert.strictEqual(calls.record.length, 1);
+});
+
+test('group mentions skip only the members who muted the conversation', async t => {
+  const mutedMember = new mongoose.Types.ObjectId();
+  const record = [];
+  t.mock.method(User, 'isMuted', async userId => userId === mutedMember);
+  t.mock.method(Notification, 'record', async fields => {
+    record.push(fields.recipient);
+    return null;
+  });
+
+  await notifyMentions(null, [recipient, mutedMember], { actor, conversation, preview: '@both' });
+
+  assert.deepStrictEqual(record, [recipient]);
+});
+
+test('group messages notify offline members who did not mute the conversation', async t => {
+  const [online, offline, muted, mentioned] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId().toString());
+  const group = {
+    _id: conversation,
+    getMemberIds: () => [actor.toString(), online, offline, muted, mentioned]
+  };
+  const record = [];
+  t.mock.method(User, 'isConnected', async userId => userId === online);
+  t.mock.method(User, 'isMuted', async userId => userId === muted);
+  t.mock.method(Notification, 'record', async fields => {
+    record.push(fields);
+    return null;
+  });
+
+  await notifyGroupMessage(null, group, { _id: 'message-1', sender: { _id: actor }, content: 'hello' }, [mentioned]);
+
+  assert.deepStrictEqual(record.map(fields => fields.recipient), [offline]);
+  assert.strictEqual(record[0].type, 'message');
+  assert.strictEqual(record[0].conversation, conversation);
+});
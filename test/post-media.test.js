@@ -0,0 +1,107 @@
+// test/post-media.test.js
+// Upload checks in media/posts.js: stored names come from the detected
+// format and videos are held to MAX_VIDEO_SECONDS
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const postMedia = require('../media/posts');
+
+function isoBox(type, body) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// An MP4 or QuickTime file with a version 0 mvhd and the moov after mdat
+function makeIsoVideo(brand, seconds) {
+  const ftyp = isoBox('ftyp', Buffer.concat([Buffer.from(brand, 'latin1'), Buffer.alloc(4), Buffer.from(brand, 'latin1')]));
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(1000, 12); // timescale
+  mvhd.writeUInt32BE(seconds * 1000, 16); // duration
+  return Buffer.concat([ftyp, isoBox('mdat', Buffer.alloc(32)), isoBox('moov', isoBox('mvhd', mvhd))]);
+}
+
+// An EBML element; IDs are written with their marker bits, sizes as
+// eight-byte vints
+function ebml(id, body) {
+  const hex = id.toString(16);
+  const size = Buffer.alloc(8);
+  size.writeBigUInt64BE(BigInt(body.length));
+  size[0] = 0x01;
+  return Buffer.concat([Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex'), size, body]);
+}
+
+// A WebM file whose Info holds an 8-byte float Duration in milliseconds
+function makeWebm(seconds) {
+  const duration = Buffer.alloc(8);
+  duration.writeDoubleBE(seconds * 1000);
+  const header = ebml(0x1A45DFA3, ebml(0x4282, Buffer.from('webm')));
+  const info = ebml(0x1549A966, Buffer.concat([ebml(0x2AD7B1, Buffer.from([0x0F, 0x42, 0x40])), ebml(0x4489, duration)]));
+  return Buffer.concat([header, ebml(0x18538067, Buffer.concat([info, ebml(0x1F43B675, Buffer.alloc(16))]))]);
+}
+
+// A multer-style record for a file written under a name with no extension
+function upload(t, data, mimetype) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'post-media-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filename = 'post-test-' + Date.now();
+  fs.writeFileSync(path.join(dir, filename), data);
+  return { path: path.join(dir, filename), filename, mimetype, size: data.length, originalname: 'clip.html' };
+}
+
+test('MP4 and QuickTime videos are named after their container', async (t) => {
+  const mp4 = upload(t, makeIsoVideo('isom', 10), 'video/quicktime');
+  const mp4Entry = await postMedia.processVideo(mp4, null);
+  assert.strictEqual(path.extname(mp4Entry.path), '.mp4');
+  assert.strictEqual(mp4Entry.mimeType, 'video/mp4');
+  assert.ok(fs.existsSync(mp4.path));
+
+  const mov = upload(t, makeIsoVideo('qt  ', 10), 'video/mp4');
+  const movEntry = await postMedia.processVideo(mov, null);
+  assert.strictEqual(path.extname(movEntry.path), '.mov');
+  assert.strictEqual(movEntry.mimeType, 'video/quicktime');
+});
+
+test('WebM videos are named after their container', async (t) => {
+  const file = upload(t, makeWebm(10), 'video/mp4');
+  const entry = await postMedia.processVideo(file, null);
+  assert.strictEqual(path.extname(entry.path), '.webm');
+  assert.strictEqual(entry.mimeType, 'video/webm');
+});
+
+test('videos longer than MAX_VIDEO_SECONDS are rejected', async (t) => {
+  const tooLong = postMedia.MAX_VIDEO_SECONDS + 1;
+  assert.strictEqual(await postMedia.processVideo(upload(t, makeIsoVideo('isom', tooLong), 'video/mp4'), null), null);
+  assert.strictEqual(await postMedia.processVideo(upload(t, makeWebm(tooLong), 'video/webm'), null), null);
+});
+
+test('files that only claim to be videos are rejected', async (t) => {
+  const html = Buffer.from('<html><script>alert(1)</script></html>');
+  const file = upload(t, html, 'video/mp4');
+  assert.strictEqual(await postMedia.processVideo(file, null), null);
+
+  // An ftyp box with an unknown brand and no moov
+  const fake = upload(t, Buffer.concat([isoBox('ftyp', Buffer.from('htmlxxxxhtml')), html]), 'video/mp4');
+  assert.strictEqual(await postMedia.processVideo(fake, null), null);
+});
+
+test('images are named after the format sharp detects', async (t) => {
+  postMedia.ensureUploadDir();
+  const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#336699' } }).png().toBuffer();
+  const file = upload(t, png, 'image/jpeg');
+
+  const entry = await postMedia.processImage(file);
+  t.after(() => postMedia.deleteMedia([entry]));
+  assert.strictEqual(path.extname(entry.path), '.png');
+  assert.strictEqual(entry.mimeType, 'image/png');
+});
+
+test('files that only claim to be images are rejected', async (t) => {
+  const file = upload(t, Buffer.from('<html><script>alert(1)</script></html>'), 'image/gif');
+  assert.strictEqual(await postMedia.processImage(file), null);
+});
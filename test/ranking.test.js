@@ -0,0 +1,98 @@
+// test/ranking.test.js
+// Top feed scoring in feed/ranking.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ranking = require('../feed/ranking');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2025-01-01T12:00:00Z');
+
+function hoursAgo(hours) {
+  return new Date(now - hours * HOUR_MS);
+}
+
+// A lean post as the feed query returns it
+function makePost(id, fields = {}) {
+  return {
+    _id: id,
+    author: fields.author || 'author-a',
+    createdAt: fields.createdAt || now,
+    expiresAt: fields.expiresAt || null,
+    likes: Array.from({ length: fields.likes || 0 }, (_, i) => ({ user: 'user-' + i })),
+    commentCount: fields.comments || 0
+  };
+}
+
+function context(affinity = {}) {
+  return { now, affinity: new Map(Object.entries(affinity)) };
+}
+
+test('recency halves every half-life', () => {
+  const halfLife = ranking.RECENCY_HALF_LIFE_HOURS;
+
+  assert.strictEqual(ranking.recencyScore(now, now), 1);
+  assert.ok(Math.abs(ranking.recencyScore(hoursAgo(halfLife), now) - 0.5) < 1e-9);
+  assert.ok(Math.abs(ranking.recencyScore(hoursAgo(2 * halfLife), now) - 0.25) < 1e-9);
+});
+
+test('posts dated in the future count as brand new', () => {
+  assert.strictEqual(ranking.recencyScore(new Date(now.getTime() + HOUR_MS), now), 1);
+});
+
+test('the expiry boost only applies inside the expiry window', () => {
+  const window = ranking.EXPIRY_WINDOW_HOURS;
+
+  assert.strictEqual(ranking.expiryScore(null, now), 0);
+  assert.strictEqual(ranking.expiryScore(new Date(now.getTime() + (window + 1) * HOUR_MS), now), 0);
+  assert.strictEqual(ranking.expiryScore(hoursAgo(1), now), 0);
+  assert.ok(Math.abs(ranking.expiryScore(new Date(now.getTime() + window / 2 * HOUR_MS), now) - 0.5) < 1e-9);
+});
+
+test('an older post sinks below a newer one with the same engagement', () => {
+  const fresh = makePost('1', { likes: 3, createdAt: hoursAgo(1) });
+  const stale = makePost('2', { likes: 3, createdAt: hoursAgo(30) });
+
+  assert.deepStrictEqual(ranking.rankPosts([stale, fresh], context()).map(post => post._id), ['1', '2']);
+});
+
+test('engagement is weighted: a comment counts for more than a like', () => {
+  const liked = makePost('1', { likes: 1 });
+  const commented = makePost('2', { comments: 1 });
+
+  const score = post => ranking.scorePost(post, context());
+  assert.ok(Math.abs(score(liked) - (1 + ranking.WEIGHTS.likes * Math.log1p(1))) < 1e-9);
+  assert.ok(Math.abs(score(commented) - (1 + ranking.WEIGHTS.comments * Math.log1p(1))) < 1e-9);
+  assert.ok(score(commented) > score(liked));
+});
+
+test('affinity with the author raises a post', () => {
+  const stranger = makePost('1', { author: 'author-a' });
+  const friend = makePost('2', { author: 'author-b' });
+
+  const ranked = ranking.rankPosts([stranger, friend], context({ 'author-b': 4 }));
+  assert.deepStrictEqual(ranked.map(post => post._id), ['2', '1']);
+});
+
+test('ties go to the newer post, then to the higher ID', () => {
+  // All score 1: no engagement, and none is older than `now`
+  const lowerId = makePost('a1', { createdAt: now });
+  const higherId = makePost('a2', { createdAt: now });
+  const newer = makePost('a0', { createdAt: new Date(now.getTime() + 1) });
+
+  const ranked = ranking.rankPosts([lowerId, newer, higherId], context());
+  assert.deepStrictEqual(ranked.map(post => post._id), ['a0', 'a2', 'a1']);
+});
+
+test('ranking does not depend on the input order', () => {
+  const posts = [
+    makePost('1', { likes: 2, createdAt: hoursAgo(3) }),
+    makePost('2', { comments: 1, createdAt: hoursAgo(5) }),
+    makePost('3', { createdAt: hoursAgo(1) }),
+    makePost('4', { likes: 2, createdAt: hoursAgo(3) })
+  ];
+
+  const forward = ranking.rankPosts(posts, context()).map(post => post._id);
+  const backward = ranking.rankPosts([...posts].reverse(), context()).map(post => post._id);
+  assert.deepStrictEqual(forward, backward);
+});
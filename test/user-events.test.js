@@ -0,0 +1,63 @@
+// test/user-events.test.js
+// Sequenced events in realtime/index.js: the page that caused an event gets
+// only its sequence number, live and when it resumes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const UserEvent = require('../models/UserEvent');
+const { sendToUsers, replayMissedEvents } = require('../realtime');
+
+const sender = 'sender-id';
+const recipient = 'recipient-id';
+
+// A socket that records what it emits, directly or to a room
+function fakeSocket(clientId) {
+  const emitted = [];
+  return {
+    emitted,
+    handshake: { query: { clientId } },
+    request: { session: { userId: sender } },
+    emit: (event, payload, meta) => emitted.push({ event, payload, meta }),
+    to: room => ({ emit: (event, payload, meta) => emitted.push({ room, event, payload, meta }) })
+  };
+}
+
+test('the originating socket is sent event-skipped instead of its own event', async t => {
+  let origin;
+  t.mock.method(UserEvent, 'record', async (userIds, event, payload, recordOrigin) => {
+    origin = recordOrigin;
+    return [{ user: recipient, seq: 4 }, { user: sender, seq: 9 }];
+  });
+  const socket = fakeSocket('page-1');
+
+  await sendToUsers({}, [recipient, sender], 'new-message', { text: 'hi' }, { socket });
+
+  assert.deepStrictEqual(origin, { user: sender, client: 'page-1' });
+  assert.deepStrictEqual(socket.emitted, [
+    { room: recipient, event: 'new-message', payload: { text: 'hi' }, meta: { seq: 4 } },
+    { room: sender, event: 'new-message', payload: { text: 'hi' }, meta: { seq: 9 } },
+    { event: 'event-skipped', payload: { seq: 9 }, meta: undefined }
+  ]);
+});
+
+test('a resuming page is not replayed the events it caused', async t => {
+  t.mock.method(UserEvent, 'getMissed', async () => ({
+    events: [
+      { seq: 6, event: 'new-message', payload: 'mine', origin: 'page-1' },
+      { seq: 7, event: 'new-message', payload: 'theirs' },
+      { seq: 8, event: 'new-message', payload: 'other tab', origin: 'page-2' }
+    ],
+    currentSeq: 8,
+    truncated: false
+  }));
+  const socket = fakeSocket('page-1');
+
+  await replayMissedEvents(socket, sender, 5);
+
+  assert.deepStrictEqual(socket.emitted.map(({ event, payload }) => [event, payload]), [
+    ['event-skipped', { seq: 6 }],
+    ['new-message', 'theirs'],
+    ['new-message', 'other tab'],
+    ['resume-complete', { seq: 8, truncated: false }]
+  ]);
+});
@@ -0,0 +1,102 @@
+// text/entities.js
+// #hashtags and @mentions in user-written text: parsing on write, and
+// rendering as links for the server-side views.
+
+// A tag needs at least one letter, so "#1" stays plain text
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#])#((?=[\p{N}_]*\p{L})[\p{L}\p{N}_]{1,50})/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]{1,30})/gu;
+
+// Stop a single post from flooding tag pages or mentioning everyone
+const MAX_HASHTAGS = 20;
+const MAX_MENTIONS = 20;
+
+// Tags found in text, lowercased, in order of first use
+function extractHashtags(text) {
+  const tags = new Set();
+  for (const match of (text || '').matchAll(HASHTAG_PATTERN)) {
+    tags.add(match[2].toLowerCase());
+  }
+  return [...tags].slice(0, MAX_HASHTAGS);
+}
+
+// Usernames mentioned in text, as written; a trailing full stop is
+// punctuation, not part of the name
+function extractMentionNames(text) {
+  const names = new Set();
+  for (const match of (text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].replace(/[.-]+$/, ''));
+  }
+  names.delete('');
+  return [...names].slice(0, MAX_MENTIONS);
+}
+
+// Look up the users mentioned in text. Returns [{ user, username }] for
+// the names that belong to an account.
+async function resolveMentions(text) {
+  const names = extractMentionNames(text);
+  if (names.length === 0) return [];
+
+  const User = require('../models/User');
+  const users = await User.find({ username: { $in: names } }).select('username');
+  return users.map(user => ({ user: user._id, username: user.username }));
+}
+
+// Parse a document's content into its `hashtags` and `mentions` fields.
+// Users mentioned for the first time are left in doc.$locals.newMentions
+// for the caller to notify.
+async function applyEntities(doc) {
+  const previous = new Set((doc.mentions || []).map(mention => mention.user.toString()));
+
+  doc.hashtags = extractHashtags(doc.content);
+  doc.mentions = await resolveMentions(doc.content);
+  doc.$locals.newMentions = doc.mentions
+    .map(mention => mention.user.toString())
+    .filter(id => !previous.has(id));
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Escape text for HTML and turn its hashtags and resolved mentions into
+// links. `mentions` is the stored [{ user, username }] list; other @names
+// stay plain text.
+function renderEntities(text, mentions = []) {
+  const mentionIds = new Map(mentions.map(mention => [mention.username, (mention.user._id || mention.user).toString()]));
+  const pattern = new RegExp(`${HASHTAG_PATTERN.source}|${MENTION_PATTERN.source}`, 'gu');
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of (text || '').matchAll(pattern)) {
+    const [whole, tagPrefix, tag, mentionPrefix, rawName] = match;
+    let link = null;
+
+    if (tag) {
+      link = { prefix: tagPrefix, href: `/hashtags/${encodeURIComponent(tag.toLowerCase())}`, label: `#${tag}`, rest: '', className: 'hashtag-link' };
+    } else {
+      const name = rawName.replace(/[.-]+$/, '');
+      if (mentionIds.has(name)) {
+        link = { prefix: mentionPrefix, href: `/profile/${mentionIds.get(name)}`, label: `@${name}`, rest: rawName.slice(name.length), className: 'mention-link' };
+      }
+    }
+    if (!link) continue;
+
+    html += escapeHtml(text.slice(lastIndex, match.index)) + escapeHtml(link.prefix);
+    html += `<a href="${link.href}" class="${link.className}">${escapeHtml(link.label)}</a>${escapeHtml(link.rest)}`;
+    lastIndex = match.index + whole.length;
+  }
+  return html + escapeHtml((text || '').slice(lastIndex));
+}
+
+module.exports = {
+  extractHashtags,
+  extractMentionNames,
+  resolveMentions,
+  applyEntities,
+  renderEntities
+};